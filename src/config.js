@@ -22,7 +22,8 @@ under the License.
 export default {
   "paths": {
     "samplesPath": "/samples/",
-    "texturesPath": "/textures/"
+    "texturesPath": "/textures/",
+    "songsPath": "/songs/"
   },
   "display": {
     "height": 500,
@@ -32,35 +33,58 @@ export default {
     "pointRadius": 3,
     "maxTempoDisplay": 250,
     "roseInterval": 1800,
-    "roseSpeed": 25
+    "roseSpeed": 25,
+    "zoneColor": "rgba(255, 137, 118, 0.25)", // The zone you're in, on the camera view
+    "zoneLineColor": "rgba(255, 255, 255, 0.4)",
+    "zoneFade": 0.15, // How quickly highlights move to a new zone (0 - 1 per frame)
+    "mutedAlpha": 0.35 // Opacity of players whose section isn't playing
+  },
+  "video": {
+    "width": 1280,
+    "height": 720,
+    "frameRate": 30,
+    "background": "#313390",
+    "includeWebcam": true // Show the webcam image behind the skeleton in recorded clips
   },
   "tone": {
     "gain": 0.3,
     "reverb": 3,
     "jcReverbWet": 0.2,
-    "reverbWet": 0.3
+    "reverbWet": 0.3,
+    "release": 0.4, // Seconds each note fades out over when it's released
+    "volumeRampTime": 0.05 // Seconds a section's volume takes to follow a fader
+  },
+  "loading": {
+    "maxConcurrentRequests": 6,
+    "retries": 2,
+    "retryDelay": 1000
   },
   "smoothing": {
     "jumpDetection": false,
     "smoothing": 0.67,
     "maxJumpRatio": 0.4,
-    "jumpResetTime": 500,
-    "speedSmoothing": 0.8
-  },
-  "posenet": {
-    "algorigthm": "multi-pose",
-    "flipHorizontal": true,
-    "mobileNetArchitecture": 0.75, // 1.01
-    "outputStride": 16,
-    "imageScaleFactor": 0.33, // 0.5
+    "jumpResetTime": 500
+  },
+  "pose": {
+    "backend": "posenet", // Which pose source in pose-sources.js to use, options for it go under its name
+    "mirror": true, // Show the conductor as in a mirror
     "minPoseConfidence": 0.2,
-    "minPartConfidence": 0.1
+    "minPartConfidence": 0.1,
+    "posenet": {
+      "algorithm": "multi-pose", // or "single-pose"
+      "mobileNetArchitecture": 0.75, // 0.5, 0.75, 1.0 or 1.01
+      "outputStride": 16, // 8, 16 or 32
+      "imageScaleFactor": 0.33 // 0.2 - 1
+    },
+    "replay": {
+      "file": "/recordings/session.json", // Recorded with Shift + R
+      "speed": 1, // 1 = real time, 2 = twice as fast...
+      "loop": false,
+      "stream": "raw" // "raw" to smooth it again, or "smoothed" to replay it as it was
+    }
   },
   "detection": {
     "calibrationMargin": 50,
-    "distanceMeasurementNumber": 5,
-    "distanceMeasurementInterval": 50,
-    "beatDistanceArmspanRatio": 0.4,
     "minimumBpm": 40,
     "maximumBpm": 200,
     "minimumDuration": 0.05,
@@ -70,20 +94,131 @@ export default {
     "beatLengthStoppingIntervalRatio": 0.4,
     "stoppingDistanceArmspanRatio": 0.08
   },
+  "calibration": {
+    "holdTime": 1000, // Milliseconds to hold each calibration pose
+    "stillDistance": 20, // Pixels a joint can move while holding a pose
+    "bottomArmspanRatio": 0.2, // How far below the shoulders the lowest beat must be
+    "remember": true // Save the conductor's reach to skip straight to the T-pose next time
+  },
+  "tracking": {
+    // Following the calibrated conductor when other people are in view
+    "maxMoveShoulderRatio": 1, // How far they can move between frames, in shoulder widths
+    "maxSizeChange": 0.3, // How much bigger or smaller they can get between frames (log ratio)
+    "maxProportionChange": 0.3, // How different their head & torso proportions can look (log ratio)
+    "graceTime": 1500 // Milliseconds the conductor can be out of view before the orchestra stops
+  },
+  "start": {
+    // "upbeat": the orchestra waits for your preparatory upbeat & comes in on the next beat.
+    // "countdown": a 3-2-1 countdown, then starts as soon as you move
+    "mode": "upbeat"
+  },
+  "manual": {
+    "useCamera": true, // Set to false to conduct with the mouse, touch, pen or keyboard (phones never use the camera)
+    "armspan": 400, // Stage pixels, so beats are measured like a conductor's arm
+    "loudestStrokeRatio": 0.5, // A baton stroke this much of the stage's height plays loudest
+    "velocityStep": 0.1, // How much each up/down key press changes the dynamics
+    "stopAfterBeats": 2.5 // Stop if no beat comes for this many beats
+  },
+  "hands": {
+    // "independent": your dominant hand keeps time, the other shapes dynamics & points at sections.
+    // "together": both hands do everything
+    "mode": "independent",
+    "leftHanded": false,
+    "pointReachArmspanRatio": 0.32, // How far the wrist must be from the shoulder to count as pointing
+    "hushForearmAngle": 25, // Degrees from upright the forearm can lean for a raised palm
+    "hushHoldTime": 400, // Milliseconds the palm must be raised to hush
+    "hushVelocity": 0.15,
+    "zoneFeather": 0.1 // How far outside a zone (in reach) its instruments fade out over
+  },
+  "beats": {
+    "minMovement": 2, // Pixels per frame, smaller moves don't change the hand's direction
+    "minDepthArmspanRatio": 0.08, // How far the hand must drop for a stroke to count as a beat
+    "intervalCount": 4, // Beats to average tempo over
+    "outlierRatio": 0.35, // Ignore intervals this far from the median
+    "poseLatency": 60, // Milliseconds between the hand moving & its pose arriving
+    "phaseCorrection": 0.5, // How much of the gap to the conductor's beat to close each beat
+    "maxPhaseCorrection": 0.2 // Never change speed by more than this to catch up
+  },
+  "gestures": {
+    "windowLength": 1000, // Milliseconds of hand movement to look for gestures in
+    "fermataHoldTime": 500, // How long a raised hand must be held still for a fermata
+    "fermataHeightArmspanRatio": 0.1, // How far above the shoulder the hand must be
+    "circleDegrees": 300, // A cut-off circle must turn through nearly a full turn...
+    "circleClosedRatio": 0.3, // ...end near where it started (relative to its length)...
+    "circleLengthArmspanRatio": 0.5, // ...and be big enough to be deliberate
+    "flickTime": 250, // A flick must drop...
+    "flickDropArmspanRatio": 0.25, // ...this far...
+    "flickSettleTime": 300, // ...then not bounce back up for this long
+    "endProgress": 90 // A cut-off after this % of the piece ends it
+  },
+  "patterns": {
+    "patterns": [2, 3, 4], // Beats to the bar of the patterns to look for
+    "beatCount": 12, // Recent beats to look at
+    "minBars": 2, // Bars of a pattern needed before it can be recognised
+    "minConfidence": 0.5, // How clearly the strokes must repeat (0 - 1)
+    "margin": 0.1 // Prefer the shorter pattern if it's nearly as good a fit
+  },
+  "scoring": {
+    "sections": 8, // Sections to split a piece into when it has no expectations in songs.json
+    "steadinessTolerance": 0.1, // Average beat to beat tempo change that scores 0
+    "tempoTolerance": 0.3, // Average distance from the score's tempo that scores 0
+    "dynamicsTolerance": 0.3 // Average distance from the score's dynamics that scores 0
+  },
+  "articulation": {
+    "pizzicato": false, // Pluck everything instead of following the gesture
+    "windowLength": 600,
+    "staccatoSpeedRatio": 2.5,
+    "legatoExtentArmspanRatio": 0.3,
+    "tremoloExtentArmspanRatio": 0.12,
+    "tremoloReversalsPerSecond": 8
+  },
+  "humanize": {
+    "randomRoundRobin": false,
+    "timing": 0.015, // Max seconds each note is nudged early or late
+    "velocity": 0.05
+  },
+  "midi": {
+    // General MIDI program numbers (0-127) to instrument names in samples.json,
+    // use "percussion" for tracks on MIDI channel 10
+    "instruments": {
+      "40": "violin",
+      "41": "viola",
+      "42": "cello",
+      "43": "contrabass",
+      "44": "string ensemble 1",
+      "45": "string ensemble 1",
+      "48": "string ensemble 1",
+      "49": "string ensemble 1"
+    }
+  },
+  "midiOutput": {
+    "keepAudio": false, // Keep playing the samples while sending to a MIDI output
+    "clock": true // Send MIDI clock following the conducted tempo
+  },
+  // Shapes within the conductor's calibrated reach: x from -1 (left of the screen) through
+  // their centre line to 1 (right), y from -1 (top) through shoulder height to 1 (bottom). Each is a "rect"
+  // [left, top, right, bottom] or a "polygon" [[x, y], ...], and they can overlap.
+  // "gain" (default 1) scales the velocity of the zone's instruments
   "zones": [
     {
-      "start": 0,
-      "end": 260,
+      "name": "Violins",
+      "rect": [-2, -2, -0.15, 2],
       "instruments": ["violin", "string ensemble 1"]
     },
     {
-      "start": 260,
-      "end": 340,
+      "name": "Everyone",
+      "rect": [-0.3, -2, 0.3, 0.3],
+      "gain": 0.85,
       "instruments": ["violin", "string ensemble 1", "viola", "cello", "contrabass"]
     },
     {
-      "start": 340,
-      "end": 600,
+      "name": "Basses",
+      "polygon": [[-0.4, 0.3], [0.4, 0.3], [0.6, 2], [-0.6, 2]],
+      "instruments": ["cello", "contrabass"]
+    },
+    {
+      "name": "Violas & cellos",
+      "rect": [0.15, -2, 2, 0.3],
       "instruments": ["viola", "cello", "contrabass"]
     }
   ]
@@ -23,5 +23,6 @@ import config from './config.build';
 
 config.paths.samplesPath = '/static' + config.paths.samplesPath;
 config.paths.texturesPath = '/static' + config.paths.texturesPath;
+config.paths.songsPath = '/static' + config.paths.songsPath;
 
 export default config;
\ No newline at end of file
@@ -21,239 +21,342 @@ under the License.
 
 import Tone from 'tone';
 import config from '../config.js';
+import SampleLoader from './sample-loader';
+import { getTempoMap, getNoteTicks, secondsToTicks } from './tempo-map';
 import { getBeatLengthFromTempo, constrain } from './helpers';
+import { getZoneInstrumentGains } from './zones';
 
 export default class AudioPlayer {
   constructor(props) {
     this.props = props;
-    this.instrumentsLoaded = 0;
     this.activeInstruments = [];
+    this.zone = null; // Until a section is picked, every instrument plays
+    this.zoneGains = null; // Per instrument, from how far the hands are in each zone
     this.velocity = 0.7;  // Arbitrary starting point that will be overridden by user
+    this.articulation = 'sustain';
+    this.zones = config.zones;
     this.finishedInstruments = 0;
-    this.totalMeasures = (props.song.duration / 60) * (props.song.header.bpm / 4);
-    this.loadInstruments();
-    this.checkSampleLoading(); // Add timeout check
+    this.phaseRatio = 1;
+    this.phaseTimeout = null;
+    this.soundingNotes = [];
+    this.samplers = []; // The current song's, disposed when another is loaded
+    this.instrumentGains = {}; // Per instrument (section) volume, e.g. from MIDI faders
+    this.midiOutput = props.midiOutput;
+    this.performanceLog = props.performanceLog;
+    this.sampleLoader = new SampleLoader({
+      samples: props.samples,
+      setProgress: this.setLoadProgress.bind(this)
+    });
+    this.effects = this.loadEffects();
   }
 
-  /* Called from main.js when tempo received from PoseController */
+  /* Called from main.js with the song to play, loads the samples it needs.
+     Options (from the song catalogue) can set the starting tempo & any extra instruments */
+  loadSong(song, options = {}) {
+    this.releaseNotes();
+    Tone.Transport.stop();
+    Tone.Transport.cancel();
+    this.disposeSamplers();
+    this.song = song;
+    this.tempoMap = getTempoMap(song);
+    this.referenceBpm = this.tempoMap.tempos[0].bpm;
+    this.defaultBpm = options.tempo || null;
+    this.requiredInstruments = options.instruments || [];
+    this.activeInstruments = [];
+    this.zone = null;
+    this.zoneGains = null;
+    return this.loadInstruments();
+  }
+
+  /* Called from main.js when tempo received from PoseController. The conductor's
+     tempo is taken relative to the opening tempo of the score, so slower
+     sections of the score stay slower */
   setTempo(tempo) {
-    Tone.Transport.bpm.value = constrain(tempo, {
-      min: 0,
+    this.tempoRatio = this.toQuarterBpm(tempo) / this.referenceBpm;
+    this.applyTempo();
+  }
+
+  /* Called from main.js on each beat detected by PoseController. Nudges the
+     Transport's speed for one beat so its beat lines up with the conductor's.
+     Once the conductor's pattern matches the score, it lines up the bar too,
+     so the conductor's downbeat lands on beat 1 */
+  handleBeat(beat) {
+    if (Tone.Transport.state !== 'started') return;
+
+    // Where the Transport was (in beats since the bar line) when the hand hit the beat
+    const time = Tone.now() - (Date.now() - beat.time) / 1000;
+    const ticks = Tone.Transport.getTicksAtTime(time);
+    const position = (ticks - this.barStartTicks) / this.beatTicks;
+
+    let target = 0;
+    let cycle = 1;
+    if (beat.pattern && beat.pattern.matchesScore) {
+      target = beat.pattern.beatNumber - 1;
+      cycle = this.beatsPerBar;
+    }
+
+    // How far ahead (positive) or behind (negative) of where it should be, in beats
+    let phase = ((position - target) % cycle + cycle) % cycle;
+    if (phase > cycle / 2) phase -= cycle;
+
+    const max = config.beats.maxPhaseCorrection;
+    this.phaseRatio = constrain(1 - phase * config.beats.phaseCorrection, {
+      min: 1 - max,
+      max: 1 + max
+    });
+    this.applyTempo();
+
+    clearTimeout(this.phaseTimeout);
+    this.phaseTimeout = setTimeout(() => {
+      this.phaseRatio = 1;
+      this.applyTempo();
+    }, this.getBeatLength());
+  }
+
+  /* Transport tempo = the score's tempo at this point x the conductor's speed
+     (x any correction to stay in time with the conductor's beats) */
+  applyTempo(time) {
+    const bpm = constrain(this.scoreBpm * this.tempoRatio * this.phaseRatio, {
+      min: config.detection.minimumBpm,
       max: config.detection.maximumBpm
     });
+    if (typeof time === 'number') {
+      Tone.Transport.bpm.setValueAtTime(bpm, time);
+    } else {
+      Tone.Transport.bpm.value = bpm;
+    }
+    this.performanceLog.addTempo(typeof time === 'number' ? time : Tone.now(), bpm);
   }
 
-  /* Set up effects, then call function to generate samplers */
-  async loadInstruments() {
+  /* Set up effects shared by every sampler */
+  async loadEffects() {
+    const effects = this.createEffects();
+    await effects.reverb.generate();
+    return effects;
+  }
+
+  /* The reverb needs generating before use */
+  createEffects() {
     // Make it sounds nice
     const gain = new Tone.Gain(config.tone.gain);
     const jcReverb = new Tone.JCReverb();
     const reverb = new Tone.Reverb(config.tone.reverb);
     jcReverb.wet.value = config.tone.jcReverbWet;
     reverb.wet.value = config.tone.reverbWet;
-    await reverb.generate();
 
-    this.generateSamplers({ gain, jcReverb, reverb });
+    return { gain, jcReverb, reverb };
+  }
+
+  /* Load the samples for each instrument in the song, then generate samplers */
+  async loadInstruments() {
+    const song = this.song;
+    const effects = await this.effects;
+    const instruments = this.requiredInstruments.concat(song.tracks.map((track) => track.instrument))
+      .filter((instrument, i, all) => all.indexOf(instrument) === i);
+    const { buffers, failures } = await this.sampleLoader.load(instruments);
+
+    // Another song was chosen while this one was loading
+    if (song !== this.song) return;
+
+    if (failures.length > 0) {
+      this.props.setSampleErrors(failures);
+      return;
+    }
+
+    this.buffers = buffers;
+    this.generateSamplers(buffers, effects);
+    this.props.setActiveInstruments(this.activeInstruments);
+    this.props.setInstrumentsLoaded(100);
   }
 
   /* Generates samplers for each track in the piece */
-  generateSamplers(effects) {
+  generateSamplers(buffers, effects) {
     // Instruments should be given their official MIDI name, but lowercase,
     // e.g. 'cello'. This will be under tracks[i].instrument in the song json.
-    this.props.song.tracks.forEach((track) => {
-      console.log('Creating sampler for instrument:', track.instrument);
-      console.log('Sample URLs:', this.props.samples[track.instrument]);
-      console.log('Base path:', config.paths.samplesPath);
-      
-      // Log the actual sample URLs that will be used
-      const sampleUrls = this.props.samples[track.instrument];
-      console.log('Sample URLs details:');
-      Object.keys(sampleUrls).forEach(note => {
-        const url = config.paths.samplesPath + sampleUrls[note];
-        console.log(`  ${note}: ${url}`);
-      });
-      
-      this.activeInstruments.push(track.instrument);
-      
-      try {
-        // Create full URLs for Tone.js Sampler
-        const fullSampleUrls = {};
-        Object.keys(sampleUrls).forEach(note => {
-          fullSampleUrls[note] = config.paths.samplesPath + sampleUrls[note];
-        });
-        
-        console.log('Creating sampler with full URLs:', fullSampleUrls);
-        
-        // Try a different approach - use a single sample first to test
-        const testUrl = fullSampleUrls[Object.keys(fullSampleUrls)[0]];
-        console.log('Testing with single sample URL:', testUrl);
-        
-        // Test if the file is accessible
-        fetch(testUrl)
-          .then(response => {
-            console.log('File accessibility test for', testUrl, ':', response.status, response.statusText);
-            if (!response.ok) {
-              console.error('File not accessible:', testUrl);
-            }
-          })
-          .catch(error => {
-            console.error('Error fetching file:', testUrl, error);
-          });
-        
-        // Try a simpler approach - just use the base URL and relative paths
-        const sampleUrlsWithBase = {};
-        Object.keys(sampleUrls).forEach(note => {
-          sampleUrlsWithBase[note] = sampleUrls[note]; // Use relative paths
+    // Each articulation (sustain, staccato etc.) gets a sampler for every round robin.
+    this.song.tracks.forEach((track) => {
+      // Tracks can share an instrument, e.g. first & second violins
+      if (!this.activeInstruments.includes(track.instrument)) this.activeInstruments.push(track.instrument);
+      track.samplers = {};
+      track.roundRobins = {};
+      Object.keys(buffers[track.instrument]).forEach((articulation) => {
+        track.samplers[articulation] = buffers[track.instrument][articulation].map((notes, roundRobin) => {
+          const sampler = new Tone.Sampler(notes).connect(this.getInstrumentGain(track.instrument, effects));
+          sampler.release = config.tone.release;
+          // So the performance log can find the same samples for an offline render
+          sampler.articulation = articulation;
+          sampler.roundRobin = roundRobin;
+          this.samplers.push(sampler);
+          return sampler;
         });
-        
-        // Convert file paths to proper note names for Tone.Sampler
-        const noteUrls = {};
-        Object.keys(sampleUrls).forEach(note => {
-          // The note name should be the key, and the file path should be the value
-          noteUrls[note] = sampleUrls[note]; // Use relative paths
-        });
-        
-        // Try to fix note name format for Tone.js
-        // Tone.js might expect different note naming conventions
-        const fixedNoteUrls = {};
-        Object.keys(noteUrls).forEach(note => {
-          // Try to ensure the note name is in the correct format
-          // Tone.js might expect notes like "C4", "D#4", etc.
-          fixedNoteUrls[note] = noteUrls[note];
-        });
-        
-        console.log('Fixed note URLs:', fixedNoteUrls);
-        
-        // Try a completely different approach - use the newer API with simpler structure
-        // First, try with just one sample to test
-        const testNote = Object.keys(fixedNoteUrls)[0];
-        const singleTestUrl = fixedNoteUrls[testNote];
-        
-        console.log('Testing with single note:', testNote, 'URL:', singleTestUrl);
-        
-        // Try different note name formats that Tone.js might expect
-        // Tone.js might expect different formats like "A3", "A-3", etc.
-        const toneNoteFormats = [
-          testNote,                    // Original: "A#3"
-          testNote.replace('#', ''),   // Try: "A3" 
-          testNote.replace('#', '-'),  // Try: "A-3"
-          testNote.toLowerCase(),       // Try: "a#3"
-          testNote.replace('#', 'sharp') // Try: "Asharp3"
-        ];
-        
-        let samplerCreated = false;
-        
-        for (let i = 0; i < toneNoteFormats.length && !samplerCreated; i++) {
-          const format = toneNoteFormats[i];
-          console.log('Trying note format:', format);
-          
-          try {
-            // Try the OLD constructor format: (urls, callback, baseUrl)
-            track.sampler = new Tone.Sampler(
-              { [format]: singleTestUrl },  // urls object
-              () => {                        // callback function
-                console.log('Sample loaded successfully for', track.instrument, 'with format:', format);
-                this.instrumentLoadCallback();
-              },
-              config.paths.samplesPath       // baseUrl
-            ).chain(effects.gain, effects.jcReverb, effects.reverb, Tone.Master);
-            
-            console.log('Successfully created sampler with format:', format);
-            samplerCreated = true;
-          } catch (error) {
-            console.log('Failed with format:', format, 'Error:', error.message);
-          }
-        }
-        
-        if (!samplerCreated) {
-          throw new Error('Could not create sampler with any note format');
-        }
-        
-        // Add error handling for the sampler
-        track.sampler.onerror = (error) => {
-          console.error('Sampler error for', track.instrument, ':', error);
-        };
-        
-        // Add a timeout for this specific instrument in case it doesn't load
-        setTimeout(() => {
-          if (this.instrumentsLoaded < this.props.song.tracks.length) {
-            console.log('Timeout for', track.instrument, '- calling callback anyway');
-            this.instrumentLoadCallback();
-          }
-        }, 2000);
-        
-        console.log('Sampler created successfully for', track.instrument);
-        
-        // Ensure AudioContext is resumed
-        if (Tone.context.state !== 'running') {
-          Tone.context.resume().then(() => {
-            console.log('AudioContext resumed successfully');
-          }).catch(err => {
-            console.error('Failed to resume AudioContext:', err);
-          });
-        }
-      } catch (error) {
-        console.error('Error creating sampler for', track.instrument, ':', error);
-        // Fallback: create a simple synthesizer instead
-        console.log('Creating fallback synthesizer for', track.instrument);
-        track.sampler = new Tone.Synth({
-          oscillator: {
-            type: "triangle"
-          },
-          envelope: {
-            attack: 0.1,
-            decay: 0.2,
-            sustain: 0.3,
-            release: 1
-          }
-        }).chain(effects.gain, effects.jcReverb, effects.reverb, Tone.Master);
-        
-        // Call the callback immediately for fallback
-        this.instrumentLoadCallback();
-      }
+      });
     });
   }
 
+  /* Frees the previous song's samplers, so switching songs doesn't leave their
+     audio nodes behind. Instrument gains stay, as they hold the section volumes */
+  disposeSamplers() {
+    this.samplers.forEach((sampler) => sampler.dispose());
+    this.samplers = [];
+  }
+
+  /* Each instrument's samplers go through its own gain, so sections can be balanced */
+  getInstrumentGain(instrument, effects) {
+    if (!this.instrumentGains[instrument]) {
+      this.instrumentGains[instrument] = new Tone.Gain(1)
+        .chain(effects.gain, effects.jcReverb, effects.reverb, Tone.Master);
+    }
+    return this.instrumentGains[instrument];
+  }
+
+  /* Picks the sampler for the current articulation, falling back to
+     sustain if the instrument doesn't have samples for it. Repeated
+     notes rotate through the round robins so they don't machine-gun */
+  getSampler(track, note) {
+    const articulation = config.articulation.pizzicato ? 'pizzicato' : this.articulation;
+    const samplers = track.samplers[articulation] || track.samplers.sustain;
+    if (samplers.length === 1) return samplers[0];
+
+    const key = articulation + note.name;
+    const previous = track.roundRobins[key];
+    let index;
+    if (config.humanize.randomRoundRobin && typeof previous === 'number') {
+      // Random, but never the same sample twice in a row
+      index = (previous + 1 + Math.floor(Math.random() * (samplers.length - 1))) % samplers.length;
+    } else {
+      index = typeof previous === 'number' ? (previous + 1) % samplers.length : 0;
+    }
+    track.roundRobins[key] = index;
+    return samplers[index];
+  }
+
+  /* Passes sample download progress on to the loading screen. Held just
+     short of 100% until the samplers have been built */
+  setLoadProgress(progress) {
+    const percentage = Math.min(progress.percentage, 99);
+    this.props.setInstrumentsLoaded(percentage, progress);
+  }
+
   /* Go through each track and trigger load function */
   queueSong() {
-    const song = this.props.song;
-    const startTime = this.props.song.startTime;
+    const song = this.song;
+    const tempoMap = this.tempoMap;
 
-    // Queue each of the tracks
-    Tone.Transport.bpm.value = this.startingBpm = song.header.bpm;
-    Tone.Transport.timeSignature = song.header.timeSignature;
+    // Everything is placed in ticks, so tempo changes only change the Transport's bpm
+    this.tickRatio = Tone.Transport.PPQ / tempoMap.ppq;
+    this.totalTicks = 0;
     song.tracks.forEach((track) => {
-      this.queueTrack(track, track.sampler);
+      this.queueTrack(track);
+    });
+    this.midiOutput.queueClock();
+
+    // Log where the performance is every beat, for scoring
+    Tone.Transport.scheduleRepeat((time) => {
+      const ticks = Tone.Transport.getTicksAtTime(time);
+      this.performanceLog.addPosition(time, {
+        progress: this.totalTicks ? 100 * ticks / this.totalTicks : 100,
+        bpm: Tone.Transport.bpm.getValueAtTime(time),
+        referenceBpm: this.scoreBpm * this.defaultRatio,
+        velocity: this.velocity,
+        zone: this.zone
+      });
+    }, '4n');
+
+    // Follow the score's tempo & time signature changes
+    tempoMap.tempos.forEach((tempo) => {
+      if (tempo.ticks === 0) return;
+      Tone.Transport.schedule((time) => {
+        this.scoreBpm = tempo.bpm;
+        this.applyTempo(time);
+      }, this.toTransportTicks(tempo.ticks));
+    });
+    tempoMap.timeSignatures.forEach((event) => {
+      if (event.ticks === 0) return;
+      Tone.Transport.schedule(() => {
+        this.setTimeSignature(event.timeSignature, Math.round(event.ticks * this.tickRatio));
+      }, this.toTransportTicks(event.ticks));
     });
 
-    Tone.Transport.position = startTime;
+    this.resetTempo();
+    const startTicks = secondsToTicks(song.startTime || 0, tempoMap.tempos, tempoMap.ppq);
+    Tone.Transport.ticks = Math.round(startTicks * this.tickRatio);
+  }
+
+  /* Back to the start of the score, playing at the piece's default tempo
+     (in conducted beats, like the conductor's tempo) */
+  resetTempo() {
+    const tempoMap = this.tempoMap;
+    this.scoreBpm = this.referenceBpm;
+    this.setTimeSignature(tempoMap.timeSignatures[0].timeSignature);
+    this.defaultRatio = this.defaultBpm ? this.toQuarterBpm(this.defaultBpm) / this.referenceBpm : 1;
+    this.tempoRatio = this.defaultRatio;
+    this.phaseRatio = 1;
+    clearTimeout(this.phaseTimeout);
+    this.applyTempo();
+  }
+
+  /* The Transport counts in quarter notes, a conducted beat can be a dotted
+     quarter (6/8) or a half note (2/2) */
+  toQuarterBpm(bpm) {
+    return bpm * this.beatTicks / Tone.Transport.PPQ;
+  }
+
+  /* Beats are counted the way they're conducted: in the time signature's unit,
+     except compound time (6/8, 9/8, 12/8) which is beaten in dotted notes */
+  setTimeSignature(timeSignature, ticks = 0) {
+    const [numerator, denominator] = timeSignature;
+    const isCompound = denominator >= 8 && numerator > 3 && numerator % 3 === 0;
+    Tone.Transport.timeSignature = timeSignature;
+    this.beatsPerBar = isCompound ? numerator / 3 : numerator;
+    this.beatTicks = Tone.Transport.PPQ * 4 / denominator * (isCompound ? 3 : 1);
+    this.barStartTicks = ticks;
+  }
+
+  /* Song ticks to a Transport time, e.g. '384i' */
+  toTransportTicks(ticks) {
+    return Math.round(ticks * this.tickRatio) + 'i';
   }
 
   /* Add all notes to the Transport, with the relevant instrument */
-  queueTrack(track, instrument) {
+  queueTrack(track) {
+    const events = track.notes.map((note) => {
+      const position = getNoteTicks(note, this.tempoMap);
+      const event = Object.assign({}, note, {
+        transportTicks: Math.round(position.ticks * this.tickRatio),
+        durationTicks: position.durationTicks * this.tickRatio
+      });
+      this.totalTicks = Math.max(this.totalTicks, event.transportTicks);
+      return [this.toTransportTicks(position.ticks), event];
+    });
+
     new Tone.Part((time, note) => {
-      const measures = parseInt(Tone.Transport.position.split(':')[0]) + 1;
-      this.props.setSongProgress(100 * measures / this.totalMeasures)
+      // Progress is measured by the last note starting
+      const ticks = Tone.Transport.getTicksAtTime(time);
+      this.props.setSongProgress(this.totalTicks ? 100 * ticks / this.totalTicks : 100);
 
       // Only play the instrument this bar if it's active
       if (this.activeInstruments.includes(track.instrument)) {
-        // Adjust note duration based on tempo (slower tempo = longer notes)
-        const durationRatio = this.startingBpm / Math.max(Tone.Transport.bpm.value, config.detection.minimumBpm);
-        const duration = constrain(note.duration * durationRatio, {
+        // Note length in the score, at the current tempo (slower tempo = longer notes)
+        const bpm = Math.max(Tone.Transport.bpm.value, config.detection.minimumBpm);
+        const duration = constrain(note.durationTicks / Tone.Transport.PPQ * 60 / bpm, {
           max: config.detection.maximumDuration,
           min: config.detection.minimumDuration
         });
 
-        const velocity = constrain(this.velocity, {
+        // Add a small time & velocity variation around 0 to make it sound more human
+        const timeVariation = (Math.random() - 0.5) * 2 * config.humanize.timing;
+        const velocityVariation = (Math.random() - 0.5) * 2 * config.humanize.velocity;
+
+        const zoneGain = this.zoneGains ? this.zoneGains[track.instrument] : 1;
+        const velocity = constrain(this.velocity * zoneGain + velocityVariation, {
           max: config.detection.maximumVelocity,
           min: config.detection.minimumVelocity
         });
 
-        // Add a small time variation around 0 to make it sound more human
-        // const variation = (Math.random() - 0.5) * 0.03;
         // Cue a note to be triggered at the time, with the pitch and duration
         try {
-          instrument.triggerAttackRelease(note.name, duration, time, velocity); 
+          const instrument = this.getSampler(track, note);
+          this.playNote(track, instrument, note, duration, time + timeVariation, velocity);
           this.props.triggerAnimation(track.instrument, duration, this.velocity);
         } catch (error) {
           console.warn('Could not play note', note.name, 'for', track.instrument, ':', error.message);
@@ -261,17 +364,65 @@ export default class AudioPlayer {
           this.props.triggerAnimation(track.instrument, duration, this.velocity);
         }
       }
-    }, track.notes).start();
+    }, events).start();
+  }
+
+  /* Notes are released by us rather than by the sampler, so a fermata can hold
+     them & a cut-off can end them early. With a MIDI output chosen they're sent
+     there too, and the samplers stay quiet unless the audio is kept */
+  playNote(track, sampler, scoreNote, duration, time, velocity) {
+    const name = scoreNote.name;
+    const number = typeof scoreNote.midi === 'number' ? scoreNote.midi : Tone.Frequency(name).toMidi();
+    const note = { sampler: null, midi: null, name, release: null };
+    note.logged = this.performanceLog.addNote(track, {
+      name,
+      midi: number,
+      time,
+      duration,
+      velocity,
+      articulation: sampler.articulation,
+      roundRobin: sampler.roundRobin
+    });
+    if (this.midiOutput.isSending()) {
+      note.midi = this.midiOutput.noteOn(track, number, time, velocity);
+    }
+    if (!note.midi || this.midiOutput.keepAudio) {
+      sampler.triggerAttack(name, time, velocity);
+      note.sampler = sampler;
+    }
+    this.soundingNotes.push(note);
+    this.scheduleRelease(note, time, duration);
+  }
+
+  /* The release is a Transport event at the note's end, so it's timed on the
+     audio clock and waits while the Transport is paused for a fermata */
+  scheduleRelease(note, time, duration) {
+    const end = Tone.Transport.getTicksAtTime(time + duration);
+    note.release = Tone.Transport.scheduleOnce((releaseTime) => {
+      note.release = null;
+      this.releaseNote(note, releaseTime);
+    }, Math.round(end) + 'i');
+  }
+
+  /* Fades the note out over the sampler's release, from the given time or now */
+  releaseNote(note, time) {
+    if (note.release !== null) Tone.Transport.clear(note.release);
+    note.release = null;
+    const releaseTime = Math.max(time || 0, Tone.now());
+    if (note.sampler) note.sampler.triggerRelease(note.name, releaseTime);
+    if (note.midi) this.midiOutput.noteOff(note.midi, releaseTime);
+    this.performanceLog.setNoteEnd(note.logged, releaseTime);
+    this.soundingNotes = this.soundingNotes.filter((sounding) => sounding !== note);
+  }
+
+  releaseNotes() {
+    this.soundingNotes.slice().forEach((note) => this.releaseNote(note));
   }
 
-  /* Updates the loading screen with current progress */
-  instrumentLoadCallback() {
-    console.log('Instrument loaded! Total loaded:', this.instrumentsLoaded + 1);
-    this.instrumentsLoaded++;
-    const totalTracks = this.props.song.tracks.length;
-    const percentage = 100 * this.instrumentsLoaded / totalTracks;
-    console.log('Loading percentage:', percentage);
-    this.props.setInstrumentsLoaded(percentage);
+  /* Called from main.js for a fermata: the Transport waits & sounding notes carry
+     on, as their releases wait with it */
+  holdNotes() {
+    Tone.Transport.pause();
   }
 
   /* Resume AudioContext after user interaction */
@@ -288,44 +439,112 @@ export default class AudioPlayer {
     return Promise.resolve(true);
   }
 
-  /* Check if samples are loading properly */
-  checkSampleLoading() {
-    setTimeout(() => {
-      console.log('Sample loading timeout check - instruments loaded:', this.instrumentsLoaded);
-      if (this.instrumentsLoaded === 0) {
-        console.error('No instruments loaded after timeout - forcing app to continue');
-        // Force the app to continue anyway
-        this.instrumentsLoaded = this.props.song.tracks.length;
-        this.props.setInstrumentsLoaded(100);
-      }
-    }, 3000); // 3 second timeout instead of 10
-  }
-
   /* Change which instruments are playing based on PoseController data */
   setInstrumentGroup(i) {
-    this.activeInstruments = config.zones[i].instruments
+    if (!this.zones[i] || i === this.zone) return;
+    this.setInstrumentGains(getZoneInstrumentGains(this.zones[i]), i);
+  }
+
+  /* How loud each instrument plays (0 - 1, left out = silent) as the hands move
+     through overlapping zones, and the zone they're most inside */
+  setInstrumentGains(gains, zone) {
+    const activeInstruments = Object.keys(gains).filter((instrument) => gains[instrument] > 0);
+    this.zoneGains = gains;
+    if (activeInstruments.join() !== this.activeInstruments.join()) {
+      this.activeInstruments = activeInstruments;
+      this.props.setActiveInstruments(activeInstruments);
+    }
+    if (zone !== this.zone) {
+      this.zone = zone;
+      this.performanceLog.addZone(Tone.now(), zone);
+    }
+  }
+
+  /* Zones come from the chosen piece in the song catalogue */
+  setZones(zones) {
+    this.zones = zones;
+  }
+
+  /* Volume (0 - 1) of one instrument's section, set from a MIDI fader */
+  async setInstrumentVolume(instrument, volume) {
+    const effects = await this.effects;
+    this.getInstrumentGain(instrument, effects).gain.rampTo(volume, config.tone.volumeRampTime);
   }
 
   /* Change velocity based on PoseController data */
   setVelocity(vel) {
     this.velocity = vel;
+    this.performanceLog.addVelocity(Tone.now(), vel);
   }
 
+  /* Change articulation (sustain, staccato, tremolo) based on PoseController data */
+  setArticulation(articulation) {
+    this.articulation = articulation;
+  }
+
+  /* Plays the logged performance again in an offline context, through the same
+     samples & effects: sample accurate, faster than real time & without any
+     hiccups from the pose loop. Resolves with a Tone.Buffer */
+  renderPerformance() {
+    const log = this.performanceLog;
+    const duration = log.getDuration() + config.tone.release + config.tone.reverb + 1;
+
+    return Tone.Offline(() => {
+      // Everything has to be made inside the callback, so it belongs to the offline context
+      const effects = this.createEffects();
+      const samplers = {};
+      const getSampler = (note) => {
+        const instrument = note.track.instrument;
+        const key = instrument + ':' + note.articulation + ':' + note.roundRobin;
+        if (!samplers[key]) {
+          const volume = this.instrumentGains[instrument] ? this.instrumentGains[instrument].gain.value : 1;
+          const gain = new Tone.Gain(volume).chain(effects.gain, effects.jcReverb, effects.reverb, Tone.Master);
+          samplers[key] = new Tone.Sampler(this.buffers[instrument][note.articulation][note.roundRobin]).connect(gain);
+          samplers[key].release = config.tone.release;
+        }
+        return samplers[key];
+      };
+
+      log.notes.forEach((note) => {
+        const sampler = getSampler(note);
+        sampler.triggerAttack(note.name, note.time, note.velocity);
+        sampler.triggerRelease(note.name, note.time + note.duration);
+      });
+
+      // The render starts once the reverb is ready
+      return effects.reverb.generate();
+    }, duration);
+  }
+
+  /* Length of a conducted beat at the current tempo, in ms */
   getBeatLength() {
-    return getBeatLengthFromTempo(Tone.Transport.bpm.value);
+    return getBeatLengthFromTempo(Tone.Transport.bpm.value) * this.beatTicks / Tone.Transport.PPQ;
+  }
+
+  getBeatsPerBar() {
+    return this.beatsPerBar;
+  }
+
+  isPlaying() {
+    return Tone.Transport.state === 'started';
   }
 
   start() {
     Tone.Transport.start();
+    this.performanceLog.start(Tone.now(), Tone.Transport.bpm.value);
   }
 
+  /* Pauses the Transport & lets any sounding notes fade out */
   stop() {
     Tone.Transport.pause();
+    this.releaseNotes();
   }
 
   restart() {
     Tone.Transport.stop();
+    this.releaseNotes();
+    this.performanceLog.reset();
     this.beatsElapsed = 0;
-    Tone.Transport.bpm.value = this.startingBpm;
+    this.resetTempo();
   }
 }
\ No newline at end of file
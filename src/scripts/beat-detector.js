@@ -0,0 +1,110 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import config from '../config';
+import { average } from './helpers';
+
+/* Finds the beats (ictus) in a hand's path: the bottom of each stroke, where
+   the hand stops moving down and turns back up. Tempo comes from the time
+   between beats rather than how fast the hand is moving. */
+export default class BeatDetector {
+  constructor(props) {
+    this.props = props;
+    this.reset();
+  }
+
+  reset() {
+    this.beats = [];
+    this.direction = 0;
+    this.prev = null;
+    this.top = null;
+    this.bottom = null;
+    this.rise = null;
+  }
+
+  /* Called each frame with the time (ms) and hand position.
+     y increases down the screen, so the bottom of the stroke is the largest y */
+  addPosition(time, position, armspan) {
+    const point = { time, x: position.x, y: position.y };
+    const prev = this.prev;
+    this.prev = point;
+    if (!prev) return;
+
+    const movement = point.y - prev.y;
+    if (Math.abs(movement) < config.beats.minMovement) return;
+    const direction = Math.sign(movement);
+
+    if (direction > 0) {
+      // Moving down, so the top of the stroke was the last point
+      if (this.direction <= 0) this.top = prev;
+      this.bottom = point;
+    } else {
+      if (this.direction > 0 && this.top && this.bottom) {
+        // Turned back up, the lowest point was the beat
+        const depth = this.bottom.y - this.top.y;
+        if (depth >= config.beats.minDepthArmspanRatio * armspan) this.addBeat(this.bottom, depth);
+      }
+      // Started moving up, from a beat or from rest
+      if (this.direction >= 0) this.rise = prev;
+    }
+
+    this.direction = direction;
+  }
+
+  addBeat(point, depth) {
+    const lastBeat = this.beats[this.beats.length - 1];
+    const minInterval = 60000 / config.detection.maximumBpm;
+    if (lastBeat && point.time - lastBeat.time < minInterval) return;
+
+    this.beats.push(point);
+    if (this.beats.length > config.beats.intervalCount + 1) this.beats.shift();
+
+    this.props.onBeat({
+      // The pose arrives a little after the hand was actually there
+      time: point.time - ('latency' in this.props ? this.props.latency : config.beats.poseLatency),
+      position: { x: point.x, y: point.y },
+      depth,
+      tempo: this.getTempo(),
+      // Up & back down again takes a beat, so a preparatory upbeat from rest gives a tempo too
+      breathTempo: this.rise && this.rise.time < point.time ? 60000 / (point.time - this.rise.time) : null
+    });
+  }
+
+  /* Average bpm of recent beats, ignoring pauses & intervals far from the median
+     (a missed or doubled beat shouldn't throw the tempo off) */
+  getTempo() {
+    const maxInterval = 60000 / config.detection.minimumBpm;
+    const intervals = [];
+    for (let i = 1; i < this.beats.length; i++) {
+      const interval = this.beats[i].time - this.beats[i - 1].time;
+      if (interval <= maxInterval) intervals.push(interval);
+    }
+    if (intervals.length === 0) return null;
+
+    const sorted = intervals.slice().sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const inliers = intervals.filter((interval) => {
+      return Math.abs(interval - median) <= config.beats.outlierRatio * median;
+    });
+
+    return 60000 / average(inliers);
+  }
+}
@@ -0,0 +1,236 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import config from '../config';
+import { getKeypoints, getDistance, average } from './helpers';
+
+const STORAGE_KEY = 'semi-conductor-calibration';
+
+const PARTS = [
+  'leftWrist', 'rightWrist', 'leftElbow',
+  'rightElbow', 'leftShoulder', 'rightShoulder'
+];
+
+/* The calibration sequence, in order: stand relaxed (body centre & shoulder
+   height), a T-pose (left & right extent), hands up high (top of reach) and
+   hands down where the lowest beat would be (bottom of reach) */
+export const STEPS = ['centre', 'extent', 'top', 'bottom'];
+
+/* Works out the conductor's envelope, { centre: { x, y }, left, right, top, bottom }
+   in display pixels, with y at the centre being shoulder height. Each step is
+   held still for a moment. With a saved profile only the T-pose is needed, and
+   the top & bottom of reach are scaled from it */
+export default class Calibration {
+  constructor(props) {
+    this.props = props;
+    this.start(null);
+  }
+
+  /* Called from PoseController each time calibration starts */
+  start(profile) {
+    this.profile = profile;
+    this.steps = profile ? ['extent'] : STEPS;
+    this.step = 0;
+    this.hold = [];
+    this.measurements = {};
+    this.previous = null; // Where the last step was held
+    this.report(0);
+  }
+
+  /* Called each frame while calibrating */
+  addPose(pose, time) {
+    if (this.step >= this.steps.length) return;
+    const parts = getKeypoints(pose, PARTS);
+    const step = this.steps[this.step];
+    const confident = PARTS.every((part) => parts[part].score >= config.pose.minPartConfidence);
+    const positions = {};
+    PARTS.forEach((part) => { positions[part] = Object.assign({}, parts[part].position); });
+    if (!confident || !isStepPose(step, positions, this.measurements)) {
+      this.hold = [];
+      this.report(0);
+      return;
+    }
+
+    // Each step needs a new pose, so staying put can't pass two steps in a row
+    if (this.previous) {
+      if (isSamePose(this.previous, positions)) {
+        this.report(0);
+        return;
+      }
+      this.previous = null;
+    }
+
+    // Moving restarts the hold
+    const first = this.hold[0];
+    if (first && PARTS.some((part) => getDistance(first.positions[part], positions[part]) > config.calibration.stillDistance)) {
+      this.hold = [];
+    }
+    this.hold.push({ time, positions });
+
+    const held = time - this.hold[0].time;
+    if (held < config.calibration.holdTime) {
+      this.report(held / config.calibration.holdTime);
+      return;
+    }
+
+    this.measurements[step] = measure(step, this.hold.map((entry) => entry.positions));
+    this.props.onHeld(step, pose);
+    this.previous = positions;
+    this.hold = [];
+    this.step++;
+    if (this.step < this.steps.length) {
+      this.report(0);
+    } else {
+      this.props.onComplete(this.getEnvelope());
+    }
+  }
+
+  report(progress) {
+    this.props.onStep({
+      step: this.steps[this.step],
+      index: this.step,
+      count: this.steps.length,
+      progress
+    });
+  }
+
+  getEnvelope() {
+    const { centre, extent, top, bottom } = this.measurements;
+    if (!this.profile) {
+      return { centre, left: extent.left, right: extent.right, top, bottom };
+    }
+    const armspan = extent.right - extent.left;
+    return {
+      centre: extent.centre,
+      left: extent.left,
+      right: extent.right,
+      top: extent.centre.y + this.profile.top * armspan,
+      bottom: extent.centre.y + this.profile.bottom * armspan
+    };
+  }
+}
+
+/* Whether the conductor is in the step's pose, from their joints' positions by
+   part name. The lowest beat has to be well below the shoulders as measured */
+function isStepPose(step, positions, measurements) {
+  const margin = config.detection.calibrationMargin;
+  const wrists = [positions.leftWrist, positions.rightWrist];
+  const shoulderY = getShoulderCentre(positions).y;
+
+  switch (step) {
+    case 'extent':
+      return isTPose(positions, margin);
+    case 'top':
+      return wrists.every((wrist) => wrist.y < shoulderY - margin);
+    case 'centre':
+      return wrists.every((wrist) => wrist.y > shoulderY + margin);
+    case 'bottom': {
+      const { centre, extent } = measurements;
+      const drop = config.calibration.bottomArmspanRatio * (extent.right - extent.left);
+      return wrists.every((wrist) => wrist.y > centre.y + drop);
+    }
+    default:
+      return false;
+  }
+}
+
+/* Every joint within the margin of where it was */
+function isSamePose(a, b) {
+  const margin = config.detection.calibrationMargin;
+  return PARTS.every((part) => getDistance(a[part], b[part]) <= margin);
+}
+
+/* Hands in line with elbows and shoulders, either side of the body & in frame */
+function isTPose(positions, margin) {
+  const inLine = (a, b) => Math.abs(positions[a].y - positions[b].y) < margin;
+  const centreX = getShoulderCentre(positions).x;
+  const xs = [positions.leftWrist.x, positions.rightWrist.x];
+  return (
+    inLine('leftWrist', 'leftShoulder') && inLine('rightWrist', 'rightShoulder') &&
+    inLine('leftWrist', 'leftElbow') && inLine('rightWrist', 'rightElbow') &&
+    Math.min(...xs) < centreX && Math.max(...xs) > centreX &&
+    xs.every((x) => x > 0 && x < config.display.width)
+  );
+}
+
+/* Averages the step's measurement over the frames it was held for */
+function measure(step, frames) {
+  const wristYs = (pick) => average(frames.map((frame) => pick(frame.leftWrist.y, frame.rightWrist.y)));
+  switch (step) {
+    case 'centre':
+      return averagePoint(frames.map(getShoulderCentre));
+    case 'extent':
+      return {
+        centre: averagePoint(frames.map(getShoulderCentre)),
+        left: average(frames.map((frame) => Math.min(frame.leftWrist.x, frame.rightWrist.x))),
+        right: average(frames.map((frame) => Math.max(frame.leftWrist.x, frame.rightWrist.x)))
+      };
+    case 'top':
+      return wristYs(Math.min);
+    case 'bottom':
+      return wristYs(Math.max);
+  }
+}
+
+function getShoulderCentre(positions) {
+  const left = positions.leftShoulder;
+  const right = positions.rightShoulder;
+  return { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 };
+}
+
+function averagePoint(points) {
+  return {
+    x: average(points.map((point) => point.x)),
+    y: average(points.map((point) => point.y))
+  };
+}
+
+/* Saved profiles keep the top & bottom of reach as a ratio of the armspan from
+   shoulder height, so they still fit wherever the conductor stands next time.
+   localStorage can be unavailable (e.g. some private browsing modes) */
+export function loadProfile() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+export function saveProfile(envelope) {
+  const armspan = envelope.right - envelope.left;
+  const profile = {
+    top: (envelope.top - envelope.centre.y) / armspan,
+    bottom: (envelope.bottom - envelope.centre.y) / armspan
+  };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  } catch (error) {
+    console.warn('Could not save calibration:', error.message);
+  }
+}
+
+export function forgetProfile() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Nothing was saved
+  }
+}
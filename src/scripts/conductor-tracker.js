@@ -0,0 +1,120 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import config from '../config';
+import { getKeypoints, getDistance, average } from './helpers';
+
+/* Keeps hold of the conductor when there's more than one person in view.
+   Until calibration locks on, it follows whoever it first saw (the most
+   confident pose) from frame to frame. Once locked, it only follows someone
+   in about the same place, the same size & with the same skeleton
+   proportions as the conductor, so anyone walking past is ignored */
+export default class ConductorTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.proportions = null; // The conductor's, once locked on
+    this.last = null; // { centre, size, proportions } where they were last seen
+    this.lostSince = null;
+  }
+
+  /* Remembers the person in this pose as the conductor */
+  lock(pose) {
+    const body = measureBody(pose);
+    if (!body) return;
+    this.proportions = body.proportions;
+    this.last = body;
+    this.lostSince = null;
+  }
+
+  isLocked() {
+    return !!this.proportions;
+  }
+
+  /* The conductor's pose from everyone in view, or null if they're not there */
+  pick(poses, time) {
+    const candidates = [];
+    poses.forEach((pose) => {
+      const body = measureBody(pose);
+      if (body) candidates.push({ pose, body, mismatch: this.getMismatch(body) });
+    });
+
+    let best = null;
+    candidates.forEach((candidate) => {
+      if (!best || candidate.mismatch < best.mismatch) best = candidate;
+    });
+    if (!best || (this.isLocked() && best.mismatch > 1)) {
+      if (this.lostSince === null) this.lostSince = time;
+      return null;
+    }
+
+    this.last = best.body;
+    this.lostSince = null;
+    return best.pose;
+  }
+
+  /* Milliseconds since the conductor was last seen, 0 if they're in view */
+  getLostTime(time) {
+    return this.lostSince === null ? 0 : time - this.lostSince;
+  }
+
+  /* How unlike the conductor someone is, where up to 1 is close enough to be them.
+     Before anyone's been seen it's the most confident pose */
+  getMismatch(body) {
+    const tracking = config.tracking;
+    if (!this.last) return -body.score;
+    const move = getDistance(body.centre, this.last.centre) / this.last.size / tracking.maxMoveShoulderRatio;
+    const resize = Math.abs(Math.log(body.size / this.last.size)) / tracking.maxSizeChange;
+    if (!this.isLocked()) return Math.max(move, resize);
+
+    const changes = Object.keys(this.proportions)
+      .filter((key) => key in body.proportions)
+      .map((key) => Math.abs(Math.log(body.proportions[key] / this.proportions[key])));
+    const reshape = changes.length ? average(changes) / tracking.maxProportionChange : 0;
+    return Math.max(move, resize, reshape);
+  }
+}
+
+/* Where someone is (between their shoulders), how big (shoulder width) and
+   the lengths of the parts of them that don't bend, relative to their size.
+   Null if their shoulders can't be seen */
+function measureBody(pose) {
+  const parts = getKeypoints(pose, ['nose', 'leftShoulder', 'rightShoulder', 'leftHip', 'rightHip']);
+  const seen = (part) => parts[part] && parts[part].score >= config.pose.minPartConfidence;
+  if (!seen('leftShoulder') || !seen('rightShoulder')) return null;
+
+  const centre = getCentre(parts.leftShoulder.position, parts.rightShoulder.position);
+  const size = getDistance(parts.leftShoulder.position, parts.rightShoulder.position);
+  if (!size) return null;
+
+  const proportions = {};
+  if (seen('nose')) proportions.head = getDistance(parts.nose.position, centre) / size;
+  if (seen('leftHip') && seen('rightHip')) {
+    proportions.torso = getDistance(getCentre(parts.leftHip.position, parts.rightHip.position), centre) / size;
+  }
+  return { centre, size, proportions, score: pose.score };
+}
+
+function getCentre(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
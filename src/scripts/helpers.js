@@ -73,6 +73,114 @@ export function getBeatLengthFromTempo(tempo, time) {
   return (60 * 1 / tempo) * multiplier;
 }
 
+/* Total distance travelled along a list of { x, y } points */
+export function getPathLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += getDistance(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+/* Diagonal of the box surrounding a list of { x, y } points */
+export function getPathExtent(points) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return getDistance(
+    { x: Math.min(...xs), y: Math.min(...ys) },
+    { x: Math.max(...xs), y: Math.max(...ys) }
+  );
+}
+
+/* Counts how many times a path changes direction along either axis */
+export function getDirectionReversals(points, minMovement = 1) {
+  let reversals = 0;
+  ['x', 'y'].forEach((axis) => {
+    let axisReversals = 0;
+    let prevDirection = 0;
+    for (let i = 1; i < points.length; i++) {
+      const movement = points[i][axis] - points[i - 1][axis];
+      if (Math.abs(movement) < minMovement) continue;
+      const direction = Math.sign(movement);
+      if (prevDirection && direction !== prevDirection) axisReversals++;
+      prevDirection = direction;
+    }
+    reversals = Math.max(reversals, axisReversals);
+  });
+  return reversals;
+}
+
+/* Total angle (degrees) a path turns through, positive clockwise on screen.
+   Tiny movements are skipped as their direction is mostly noise */
+export function getPathTurning(points, minMovement = 1) {
+  let turning = 0;
+  let prevAngle = null;
+  let prevPoint = points[0];
+  for (let i = 1; i < points.length; i++) {
+    if (getDistance(prevPoint, points[i]) < minMovement) continue;
+    const angle = Math.atan2(points[i].y - prevPoint.y, points[i].x - prevPoint.x);
+    if (prevAngle !== null) {
+      let change = angle - prevAngle;
+      if (change > Math.PI) change -= 2 * Math.PI;
+      if (change < -Math.PI) change += 2 * Math.PI;
+      turning += change;
+    }
+    prevAngle = angle;
+    prevPoint = points[i];
+  }
+  return turning * 180 / Math.PI;
+}
+
+/* Saves data (a string, ArrayBuffer or Blob) as a file in the user's downloads */
+export function downloadFile(data, filename, type) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* 16 bit PCM .wav file of an AudioBuffer, as an ArrayBuffer */
+export function encodeWav(audioBuffer) {
+  const channels = audioBuffer.numberOfChannels;
+  const length = audioBuffer.length * channels * 2;
+  const view = new DataView(new ArrayBuffer(44 + length));
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) view.setUint8(offset + i, string.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + length, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, audioBuffer.sampleRate, true);
+  view.setUint32(28, audioBuffer.sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, length, true);
+
+  // Samples are interleaved, one from each channel in turn
+  const data = [];
+  for (let channel = 0; channel < channels; channel++) data.push(audioBuffer.getChannelData(channel));
+  let offset = 44;
+  for (let i = 0; i < audioBuffer.length; i++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const sample = Math.max(-1, Math.min(1, data[channel][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+  return view.buffer;
+}
+
 export function arrayWithLargestVariation(arrays) {
  const variations = arrays.map((array) => {
     return Math.max(...array) - Math.min(...array);
@@ -26,10 +26,20 @@ import 'babel-polyfill';
 import Renderer from './renderer';
 import AudioPlayer from './audio-player';
 import PoseController from './pose-controller';
+import ManualController from './manual-controller';
+import MidiController from './midi-controller';
+import MidiOutput from './midi-output';
+import { parseMidi } from './midi-parser';
+import { writeMidi } from './midi-writer';
+import PerformanceLog from './performance-log';
+import VideoRecorder from './video-recorder';
+import { getExpectations, scorePerformance } from './performance-scorer';
+import { downloadFile, encodeWav } from './helpers';
+import { validatePoseConfig } from './pose-sources';
 
 // Import json files
 import config from '../config.js';
-import song from '../assets/song.json';
+import songs from '../assets/songs.json';
 import samples from '../assets/samples.json';
 
 class App {
@@ -39,6 +49,8 @@ class App {
     this.state = {
       loaded: false,
       percentageLoaded: 0,
+      sampleProgress: null,
+      sampleErrors: [],
       calibrating: true,
       conducting: false,
       stopped: false,
@@ -51,20 +63,50 @@ class App {
     this.endMessageShown = false;
     // END CUSTOM ROSALYN THEMING
 
+    // Pieces from the song catalogue, plus any .mid files dropped on the start page
+    this.library = songs.slice();
+    this.songProgress = 0;
+    this.startMode = config.start.mode;
+    this.useCamera = config.manual.useCamera;
+
     this.renderer = new Renderer({
       state: this.state,
-      songTitle: song.header.name,
+      songs: this.library,
       startCalibration: this.startCalibration.bind(this),
+      selectSong: this.selectSong.bind(this),
+      selectHands: this.selectHands.bind(this),
+      selectStartMode: this.selectStartMode.bind(this),
+      selectRememberCalibration: this.selectRememberCalibration.bind(this),
+      selectCamera: this.selectCamera.bind(this),
+      useManualController: this.useManualController.bind(this),
+      connectMidi: this.connectMidi.bind(this),
+      learnMidiMapping: this.learnMidiMapping.bind(this),
+      forgetMidiMapping: this.forgetMidiMapping.bind(this),
+      selectMidiOutput: this.selectMidiOutput.bind(this),
+      selectMidiKeepAudio: this.selectMidiKeepAudio.bind(this),
+      toggleRecording: this.toggleRecording.bind(this),
+      loadMidiFile: this.loadMidiFile.bind(this),
+      downloadMidi: this.downloadMidi.bind(this),
+      downloadAudio: this.downloadAudio.bind(this),
+      toggleVideoRecording: this.toggleVideoRecording.bind(this),
+      toggleVideoWebcam: this.toggleVideoWebcam.bind(this),
+      downloadVideo: this.downloadVideo.bind(this),
       restart: this.restart.bind(this),
       setGraphicsLoaded: this.setGraphicsLoaded.bind(this)
     });
 
+    this.midiOutput = new MidiOutput();
+    this.performanceLog = new PerformanceLog();
+
     this.audioPlayer = new AudioPlayer({
-      song: song,
       samples: samples,
+      midiOutput: this.midiOutput,
+      performanceLog: this.performanceLog,
       setInstrumentsLoaded: this.setInstrumentsLoaded.bind(this),
+      setSampleErrors: this.setSampleErrors.bind(this),
       setSongProgress: this.setSongProgress.bind(this),
-      triggerAnimation: this.renderer.triggerAnimation.bind(this.renderer)
+      triggerAnimation: this.renderer.triggerAnimation.bind(this.renderer),
+      setActiveInstruments: this.renderer.renderActiveInstruments.bind(this.renderer)
     });
 
     this.poseController = new PoseController({
@@ -72,20 +114,257 @@ class App {
       renderer: this.renderer,
       handleCalibration: this.handleCalibration.bind(this),
       setTempo: this.setTempo.bind(this),
+      handleBeat: this.handleBeat.bind(this),
       getBeatLength: this.audioPlayer.getBeatLength.bind(this.audioPlayer),
-      setInstrumentGroup: this.audioPlayer.setInstrumentGroup.bind(this.audioPlayer),
+      getBeatsPerBar: this.audioPlayer.getBeatsPerBar.bind(this.audioPlayer),
+      setInstrumentGains: this.audioPlayer.setInstrumentGains.bind(this.audioPlayer),
       setVelocity: this.audioPlayer.setVelocity.bind(this.audioPlayer),
+      setArticulation: this.audioPlayer.setArticulation.bind(this.audioPlayer),
       stop: this.stop.bind(this),
-      start: this.start.bind(this)
+      start: this.start.bind(this),
+      holdFermata: this.holdFermata.bind(this),
+      releaseFermata: this.releaseFermata.bind(this),
+      cutOff: this.cutOff.bind(this),
+      handleUpbeat: this.handleUpbeat.bind(this)
+    });
+
+    this.manualController = new ManualController({
+      state: this.state,
+      stage: this.renderer.pages.main,
+      setTempo: this.setTempo.bind(this),
+      handleBeat: this.handleBeat.bind(this),
+      handleUpbeat: this.handleUpbeat.bind(this),
+      getBeatLength: this.audioPlayer.getBeatLength.bind(this.audioPlayer),
+      isPlaying: this.audioPlayer.isPlaying.bind(this.audioPlayer),
+      setInstrumentGroup: this.audioPlayer.setInstrumentGroup.bind(this.audioPlayer),
+      setVelocity: this.audioPlayer.setVelocity.bind(this.audioPlayer),
+      stop: this.stop.bind(this)
+    });
+
+    // MIDI pads & keys beat time through the ManualController, so they share its start & stop
+    this.midiController = new MidiController({
+      state: this.state,
+      handleBeat: this.manualController.handleBeat.bind(this.manualController),
+      setVelocity: this.manualController.setVelocity.bind(this.manualController),
+      setInstrumentGroup: this.audioPlayer.setInstrumentGroup.bind(this.audioPlayer),
+      setInstrumentVolume: this.audioPlayer.setInstrumentVolume.bind(this.audioPlayer),
+      renderMidiSettings: this.renderMidiSettings.bind(this)
+    });
+
+    this.videoRecorder = new VideoRecorder({
+      state: this.state,
+      orchestraCanvas: this.renderer.orchestra.app.view,
+      getPoseCanvas: () => this.poseController.canvas,
+      getVideo: () => this.poseController.video,
+      getTempo: () => this.renderer.currentTempo,
+      onStop: this.renderVideoRecording.bind(this)
+    });
+    this.renderVideoRecording();
+
+    // Catch mistakes in the pose settings before anyone stands in front of the camera
+    const poseErrors = validatePoseConfig(config.pose);
+    if (poseErrors.length > 0) {
+      this.renderer.renderConfigError(poseErrors);
+      return;
+    }
+
+    this.selectSong(this.library[0].id);
+  }
+
+  /* Called when a piece is picked from the song library on the start page */
+  async selectSong(id) {
+    const piece = this.library.filter((song) => song.id === id)[0];
+    this.piece = piece;
+    this.renderer.renderSongNotice('');
+    this.renderer.renderSongTitle(piece);
+
+    let song = piece.song;
+    try {
+      if (!song) song = await this.fetchScore(config.paths.songsPath + piece.score);
+    } catch (error) {
+      this.renderer.renderSongError('Could not load ' + piece.title + ': ' + error.message);
+      return;
+    }
+
+    // Another piece was picked while this one was downloading
+    if (this.piece !== piece || !song) return;
+    this.loadSong(song, piece);
+  }
+
+  /* Called when a conducting style is picked on the start page */
+  selectHands(hands) {
+    this.poseController.setHands(hands);
+  }
+
+  /* Called when 'upbeat' or 'countdown' is picked on the start page */
+  selectStartMode(mode) {
+    this.startMode = mode;
+  }
+
+  /* Called when 'Remember my reach' is ticked or unticked on the start page */
+  selectRememberCalibration(remember) {
+    this.poseController.setRememberCalibration(remember);
+  }
+
+  /* Called when the camera is switched on or off on the start page */
+  selectCamera(useCamera) {
+    this.useCamera = useCamera;
+  }
+
+  /* Called with Shift + R, records the pose stream to replay later */
+  toggleRecording() {
+    const recording = this.poseController.toggleRecording();
+    this.renderer.renderRecording(recording);
+  }
+
+  /* Scores are either Tone.js song json or .mid files */
+  async fetchScore(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(response.status + ' ' + response.statusText);
+    if (/\.midi?$/i.test(url)) return this.parseMidi(await response.arrayBuffer());
+    return response.json();
+  }
+
+  /* Loads the samples & zones for a song, the start button waits until they're ready */
+  loadSong(song, piece) {
+    this.song = song;
+    this.zones = piece.zones || config.zones;
+    this.state.loaded = false;
+    this.state.percentageLoaded = 0;
+    this.state.sampleProgress = null;
+    this.setLoadProgress();
+    this.poseController.setZones(this.zones);
+    this.manualController.setZones(this.zones);
+    this.midiController.setZones(this.zones);
+    this.renderer.renderOrchestra(song.tracks);
+    this.audioPlayer.setZones(this.zones);
+    this.audioPlayer.loadSong(song, {
+      tempo: piece.tempo,
+      instruments: piece.instruments
+    });
+    if (this.midiController.access) this.renderMidiSettings();
+  }
+
+  /* Called from the start page, asks for MIDI access */
+  async connectMidi() {
+    const connected = await this.midiController.enable();
+    if (!connected) {
+      this.renderer.renderSongNotice("Couldn't connect to MIDI devices. Allow MIDI access, or try Chrome or Edge.");
+      return;
+    }
+    this.renderMidiSettings();
+  }
+
+  /* The next control moved is mapped to the target */
+  learnMidiMapping(target) {
+    this.midiController.startLearning(target);
+    this.renderMidiSettings();
+  }
+
+  forgetMidiMapping(target) {
+    this.midiController.forget(target);
+    this.renderMidiSettings();
+  }
+
+  /* Called when a MIDI output is picked on the start page, by its id (or null for none) */
+  selectMidiOutput(id) {
+    const output = id && this.midiController.access.outputs.get(id);
+    this.midiOutput.setOutput(output || null);
+  }
+
+  /* Whether the samples still play alongside the MIDI output */
+  selectMidiKeepAudio(keepAudio) {
+    this.midiOutput.setKeepAudio(keepAudio);
+  }
+
+  /* What MIDI controls can be mapped to: the beat, the section picker & each section's volume */
+  renderMidiSettings() {
+    const instruments = this.song ? this.song.tracks.map((track) => track.instrument)
+      .filter((instrument, i, all) => all.indexOf(instrument) === i) : [];
+    const targets = [
+      { id: 'beat', label: 'Beat', unmapped: 'any note' },
+      { id: 'zone', label: 'Section', unmapped: 'not mapped' }
+    ].concat(instruments.map((instrument) => ({
+      id: 'volume:' + instrument,
+      label: instrument[0].toUpperCase() + instrument.slice(1) + ' volume',
+      unmapped: 'not mapped'
+    })));
+
+    const outputs = [];
+    this.midiController.access.outputs.forEach((output) => {
+      if (output.state !== 'disconnected') outputs.push({ id: output.id, name: output.name });
+    });
+
+    this.renderer.renderMidiSettings({
+      devices: this.midiController.getInputNames(),
+      targets,
+      mappings: this.midiController.mappings,
+      learning: this.midiController.learning,
+      outputs,
+      selectedOutput: this.midiOutput.output && this.midiOutput.output.id,
+      keepAudio: this.midiOutput.keepAudio
     });
   }
 
-  /* Called with percentage each time instrument samples loaded */
-  setInstrumentsLoaded(percentage) {
+  /* Called when a .mid file is dropped onto the start page */
+  async loadMidiFile(file) {
+    let arrayBuffer;
+    try {
+      arrayBuffer = await file.arrayBuffer();
+    } catch (error) {
+      this.renderer.renderSongError('Could not read ' + file.name + ': ' + error.message);
+      return;
+    }
+
+    const song = this.parseMidi(arrayBuffer);
+    if (!song) return;
+
+    const piece = {
+      id: 'file:' + file.name,
+      title: song.header.name || file.name.replace(/\.midi?$/i, ''),
+      composer: '',
+      song
+    };
+    this.library = this.library.filter((item) => item.id !== piece.id).concat([piece]);
+    this.piece = piece;
+    this.renderer.renderSongTitle(piece);
+    this.renderer.renderSongPicker(this.library, piece.id);
+    this.loadSong(song, piece);
+  }
+
+  /* Turn a MIDI file into a song, mapping its instruments to samples.json */
+  parseMidi(arrayBuffer) {
+    let result;
+    try {
+      result = parseMidi(arrayBuffer, config.midi.instruments);
+    } catch (error) {
+      this.renderer.renderSongNotice('That doesn\'t look like a MIDI file we can read (' + error.message + ').');
+      return;
+    }
+
+    if (result.song.tracks.length === 0) {
+      this.renderer.renderSongNotice('None of the instruments in that MIDI file are in our orchestra. '
+        + 'Add their program numbers to midi.instruments in config.js.');
+      return;
+    }
+
+    this.renderer.renderUnmappedTracks(result.unmappedTracks);
+    return result.song;
+  }
+
+  /* Called with percentage (and file & byte counts) as instrument samples load */
+  setInstrumentsLoaded(percentage, progress) {
     this.state.percentageLoaded = percentage;
+    if (progress) this.state.sampleProgress = progress;
     this.setLoadProgress();
   }
 
+  /* Called if any samples still failed to load after retrying */
+  setSampleErrors(failures) {
+    this.state.sampleErrors = failures;
+    this.renderer.renderSampleError(failures);
+  }
+
   /* Called once when graphics loaded */
   setGraphicsLoaded() {
     this.state.graphicsLoaded = true;
@@ -102,7 +381,7 @@ class App {
       percentage = this.state.percentageLoaded;
     }
 
-    this.renderer.renderLoadProgress(percentage);
+    this.renderer.renderLoadProgress(percentage, this.state.sampleProgress);
     if (percentage === 100) {
       this.state.loaded = true;
       this.audioPlayer.queueSong();
@@ -110,11 +389,9 @@ class App {
   }
 
   setSongProgress(percentage) {
+    this.songProgress = percentage;
     this.renderer.renderSongProgress(percentage);
-    if (percentage >= 99.9 && !this.state.finished) {
-      this.state.finished = true;
-      this.renderer.renderFinishPage();
-    }
+    if (percentage >= 99.9 && !this.state.finished) this.finish();
     
     // BEGIN CUSTOM ROSALYN THEMING
     // Check if we should show the end message (after 90 seconds of conducting)
@@ -135,6 +412,20 @@ class App {
     this.audioPlayer.setTempo(tempo);
   }
 
+  /* Called on each beat detected in PoseController */
+  handleBeat(beat) {
+    if (this.state.stopped) return;
+    this.audioPlayer.handleBeat(beat);
+  }
+
+  /* Called when PoseController sees the preparatory upbeat, the orchestra
+     comes in on the downbeat at the upbeat's tempo */
+  handleUpbeat(tempo) {
+    this.renderer.renderUpbeatPrompt(false);
+    this.setTempo(tempo);
+    this.start();
+  }
+
   /* Called when resuming motion in PoseController */
   start() {
     this.state.stopped = false;
@@ -147,14 +438,55 @@ class App {
     this.audioPlayer.stop();
   }
 
-  /* Called when user clicks start button in renderer.js */
+  /* Called when a fermata is held in PoseController */
+  holdFermata() {
+    this.state.stopped = true;
+    this.audioPlayer.holdNotes();
+  }
+
+  /* Called when the hand holding a fermata moves on, the orchestra waits for the next beat */
+  releaseFermata() {
+    this.audioPlayer.releaseNotes();
+  }
+
+  /* Called when a cut-off gesture is made in PoseController. Near the end
+     it finishes the piece, otherwise the orchestra waits for the next beat */
+  cutOff() {
+    this.stop();
+    if (this.songProgress >= config.gestures.endProgress && !this.state.finished) this.finish();
+  }
+
+  /* The end of the piece: applause, roses & how it went */
+  finish() {
+    this.state.finished = true;
+    this.videoRecorder.stop();
+    const expectations = getExpectations(this.song, this.zones, this.piece.expectations);
+    this.renderer.renderScore(scorePerformance(this.performanceLog.positions, expectations));
+    this.renderer.renderFinishPage();
+  }
+
+  /* Called when user clicks start button in renderer.js. The mouse, touch &
+     keyboard controls always work, with or without the camera */
   async startCalibration() {
     // Resume AudioContext after user interaction
     await this.audioPlayer.resumeAudioContext();
-    
+    this.manualController.enable();
+
+    if (!this.useCamera) {
+      this.handleCalibration(); // Nothing to calibrate
+      return;
+    }
+    this.poseController.startCalibration();
     if (!this.poseController.initialized) await this.poseController.initialize();
   }
 
+  /* Called from the error page if the webcam couldn't be used */
+  useManualController() {
+    this.useCamera = false;
+    this.renderer.renderCameraPicker(false);
+    this.handleCalibration();
+  }
+
   /* Called when calibration pose detected, handles transition to conducting */
   handleCalibration() {
     this.renderer.renderCalibrationSuccess();
@@ -163,7 +495,13 @@ class App {
     setTimeout(() => {
       this.renderer.renderConductPage();
       setTimeout(async () => {
-        await this.renderer.renderCountdown();
+        // Either count in, or wait for the conductor's upbeat
+        if (this.startMode === 'countdown') {
+          await this.renderer.renderCountdown();
+        } else {
+          this.renderer.renderUpbeatPrompt(true);
+        }
+        this.poseController.setWaitingForBeat(this.startMode !== 'countdown');
         this.state.conducting = true;
         // BEGIN CUSTOM ROSALYN THEMING
         this.conductingStartTime = Date.now();
@@ -172,13 +510,74 @@ class App {
     }, 2000);
   }
 
+  /* Called from the finish page, downloads what was conducted as a .mid file */
+  downloadMidi() {
+    if (this.performanceLog.isEmpty()) return;
+    const song = this.performanceLog.toSong(this.piece.title);
+    downloadFile(writeMidi(song), this.getDownloadName('mid'), 'audio/midi');
+  }
+
+  /* Called from the finish page, renders the performance offline to a .wav file */
+  async downloadAudio() {
+    if (this.performanceLog.isEmpty()) return;
+    this.renderer.renderAudioRendering(true);
+    try {
+      const buffer = await this.audioPlayer.renderPerformance();
+      downloadFile(encodeWav(buffer.get()), this.getDownloadName('wav'), 'audio/wav');
+    } catch (error) {
+      console.error('Could not render the performance:', error);
+    }
+    this.renderer.renderAudioRendering(false);
+  }
+
+  /* Called from the top bar, starts or stops recording a video clip */
+  toggleVideoRecording() {
+    if (this.videoRecorder.isRecording()) {
+      this.videoRecorder.stop();
+    } else {
+      this.videoRecorder.start();
+    }
+    this.renderVideoRecording();
+  }
+
+  toggleVideoWebcam() {
+    this.videoRecorder.setIncludeWebcam(!this.videoRecorder.includeWebcam);
+    this.renderVideoRecording();
+  }
+
+  downloadVideo() {
+    if (!this.videoRecorder.recording) return;
+    downloadFile(this.videoRecorder.recording, this.getDownloadName(this.videoRecorder.getExtension()));
+  }
+
+  renderVideoRecording() {
+    this.renderer.renderVideoRecording({
+      supported: this.videoRecorder.isSupported(),
+      recording: this.videoRecorder.isRecording(),
+      includeWebcam: this.videoRecorder.includeWebcam,
+      hasRecording: !!this.videoRecorder.recording
+    });
+  }
+
+  /* e.g. 'eine-kleine-nachtmusik-performance.mid' */
+  getDownloadName(extension) {
+    const title = this.piece.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return (title ? title + '-' : '') + 'performance.' + extension;
+  }
+
   /* When the user clicks to restart the experience */
   restart() {
+    this.videoRecorder.stop();
     this.audioPlayer.restart();
     this.state.calibrating = true;
     this.state.stopped = false;
     this.state.conducting = false;
     this.state.finished = false;
+    this.songProgress = 0;
+    this.poseController.reset();
+    this.manualController.reset();
+    this.renderer.renderPattern(null);
+    this.renderer.renderUpbeatPrompt(false);
     // BEGIN CUSTOM ROSALYN THEMING
     this.conductingStartTime = null;
     this.endMessageShown = false;
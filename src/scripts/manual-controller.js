@@ -0,0 +1,156 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import config from '../config';
+import BeatDetector from './beat-detector';
+import { constrain } from './helpers';
+
+/* Conducting without a camera. Drawing on the stage with a mouse, finger or
+   pen works as a baton (bigger strokes are louder), the space bar taps the
+   tempo, left/right arrow keys pick the section and up/down set the dynamics.
+   It drives the same callbacks as PoseController */
+export default class ManualController {
+  constructor(props) {
+    this.props = props;
+    this.enabled = false;
+    this.playing = false;
+    this.zone = 0;
+    this.zones = config.zones;
+    this.velocity = 0.7;
+    this.stoppingTimeout = null;
+    this.batonDetector = new BeatDetector({ onBeat: this.handleBeat.bind(this), latency: 0 });
+    this.tapDetector = new BeatDetector({ onBeat: this.handleBeat.bind(this), latency: 0 });
+  }
+
+  /* Start listening to the pointer & keyboard (once) */
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+
+    const stage = this.props.stage;
+    stage.addEventListener('pointerdown', (e) => {
+      this.batonDetector.reset();
+      this.moveBaton(e);
+    });
+    stage.addEventListener('pointermove', (e) => {
+      if (e.buttons > 0 || e.pointerType === 'touch') this.moveBaton(e);
+    });
+    document.addEventListener('keydown', this.handleKey.bind(this));
+  }
+
+  /* Called from main.js when the experience restarts */
+  reset() {
+    this.playing = false;
+    clearTimeout(this.stoppingTimeout);
+    this.batonDetector.reset();
+    this.tapDetector.reset();
+  }
+
+  /* Zones come from the chosen piece in the song catalogue */
+  setZones(zones) {
+    this.zones = zones;
+    this.zone = 0;
+  }
+
+  /* Pointer position on the stage, scaled to the pose display's size */
+  moveBaton(e) {
+    if (!this.props.state.conducting) return;
+    const rect = this.props.stage.getBoundingClientRect();
+    const position = {
+      x: (e.clientX - rect.left) / rect.width * config.display.width,
+      y: (e.clientY - rect.top) / rect.height * config.display.height
+    };
+    this.batonDetector.addPosition(Date.now(), position, config.manual.armspan);
+  }
+
+  handleKey(e) {
+    if (!this.props.state.conducting || e.shiftKey || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT') return;
+
+    switch (e.key) {
+      case ' ':
+        // A tap is a beat, in the middle of the stage so it has no size
+        this.tapDetector.addBeat({ time: Date.now(), x: config.display.width / 2, y: config.display.height / 2 }, 0);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        this.zone = constrain(this.zone + (e.key === 'ArrowLeft' ? -1 : 1), {
+          min: 0,
+          max: this.zones.length - 1
+        });
+        this.props.setInstrumentGroup(this.zone);
+        break;
+      case 'ArrowUp':
+      case 'ArrowDown':
+        this.setVelocity(this.velocity + (e.key === 'ArrowUp' ? 1 : -1) * config.manual.velocityStep);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  /* Called by either BeatDetector. The first beat with a tempo brings the
+     orchestra in, and it stops if the beats stop. If the camera brought the
+     orchestra in, beats here keep time but starting & stopping is left to it */
+  handleBeat(beat) {
+    if (!this.props.state.conducting) return;
+    if (beat.depth > 0) this.setVelocity(beat.depth / (config.display.height * config.manual.loudestStrokeRatio));
+
+    if (!this.playing && this.props.isPlaying()) {
+      if (beat.tempo) this.props.setTempo(beat.tempo);
+      this.props.handleBeat(beat);
+      return;
+    }
+
+    if (!this.playing) {
+      const tempo = beat.breathTempo || beat.tempo;
+      if (!tempo) return;
+      this.playing = true;
+      this.props.handleUpbeat(constrain(tempo, {
+        min: config.detection.minimumBpm,
+        max: config.detection.maximumBpm
+      }));
+    } else {
+      if (beat.tempo) this.props.setTempo(beat.tempo);
+      this.props.handleBeat(beat);
+    }
+    this.setStoppingTimeout();
+  }
+
+  setVelocity(velocity) {
+    this.velocity = constrain(velocity, {
+      min: config.detection.minimumVelocity,
+      max: config.detection.maximumVelocity
+    });
+    this.props.setVelocity(this.velocity);
+  }
+
+  /* Stop the music if no beat comes for a while */
+  setStoppingTimeout() {
+    clearTimeout(this.stoppingTimeout);
+    const interval = this.props.getBeatLength() * config.manual.stopAfterBeats;
+    this.stoppingTimeout = setTimeout(() => {
+      this.playing = false;
+      this.props.stop();
+    }, interval);
+  }
+}
@@ -0,0 +1,168 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import config from '../config';
+import BeatDetector from './beat-detector';
+
+const STORAGE_KEY = 'semi-conductor-midi-mappings';
+
+/* Conducting with a MIDI controller or drum pad (Web MIDI). Note or pad hits
+   are beats, with their velocity setting the dynamics. Faders (CCs) can be
+   mapped to pick the section, or to each instrument's volume, by learning:
+   pick what to control, then move the control. Mappings are saved in localStorage */
+export default class MidiController {
+  constructor(props) {
+    this.props = props;
+    this.access = null;
+    this.learning = null;
+    this.zones = config.zones;
+    this.mappings = loadMappings();
+    this.beatDetector = new BeatDetector({ onBeat: this.props.handleBeat, latency: 0 });
+  }
+
+  /* Asks for MIDI access & listens to every input, including ones plugged in later.
+     props.requestMIDIAccess can stand in for the browser's (e.g. a mock for testing).
+     Resolves with whether MIDI is available */
+  async enable() {
+    if (this.access) return true;
+    const requestMIDIAccess = this.props.requestMIDIAccess
+      || (navigator.requestMIDIAccess && navigator.requestMIDIAccess.bind(navigator));
+    if (!requestMIDIAccess) return false;
+
+    try {
+      this.access = await requestMIDIAccess();
+    } catch (error) {
+      console.warn('No MIDI access:', error.message || error);
+      return false;
+    }
+
+    this.access.inputs.forEach((input) => this.listen(input));
+    this.access.onstatechange = (e) => {
+      if (e.port.type === 'input' && e.port.state === 'connected') this.listen(e.port);
+      this.props.renderMidiSettings();
+    };
+    return true;
+  }
+
+  listen(input) {
+    input.onmidimessage = (e) => this.handleMessage(e, input);
+  }
+
+  getInputNames() {
+    if (!this.access) return [];
+    const names = [];
+    this.access.inputs.forEach((input) => {
+      if (input.state !== 'disconnected') names.push(input.name);
+    });
+    return names;
+  }
+
+  /* Zones come from the chosen piece in the song catalogue */
+  setZones(zones) {
+    this.zones = zones;
+  }
+
+  handleMessage(e, input) {
+    const [status, data1, data2] = e.data;
+    const type = status & 0xf0;
+    const source = { input: input.name, channel: status & 0x0f };
+
+    if (type === 0x90 && data2 > 0) {
+      // MIDI timestamps are from performance.now(), beats are timed by Date.now()
+      const time = Date.now() - (performance.now() - e.timeStamp);
+      this.handleNote(Object.assign(source, { type: 'note', number: data1 }), data2, time);
+    } else if (type === 0xb0) {
+      this.handleControl(Object.assign(source, { type: 'control', number: data1 }), data2);
+    }
+  }
+
+  /* Any note is a beat, unless a particular pad has been learned for it */
+  handleNote(source, velocity, time) {
+    if (this.learning === 'beat') {
+      this.learn(source);
+      return;
+    }
+    if (this.mappings.beat && !isSameControl(this.mappings.beat, source)) return;
+    if (!this.props.state.conducting) return;
+
+    const min = config.detection.minimumVelocity;
+    const max = config.detection.maximumVelocity;
+    this.props.setVelocity(min + (max - min) * velocity / 127);
+    this.beatDetector.addBeat({ time, x: 0, y: 0 }, 0);
+  }
+
+  handleControl(source, value) {
+    if (this.learning && this.learning !== 'beat') {
+      this.learn(source);
+      return;
+    }
+
+    const amount = value / 127;
+    Object.keys(this.mappings).forEach((target) => {
+      if (target === 'beat' || !isSameControl(this.mappings[target], source)) return;
+      if (target === 'zone') {
+        this.props.setInstrumentGroup(Math.min(Math.floor(amount * this.zones.length), this.zones.length - 1));
+      } else if (target.startsWith('volume:')) {
+        this.props.setInstrumentVolume(target.slice('volume:'.length), amount);
+      }
+    });
+  }
+
+  /* Learn mode: the next control moved (or pad hit, for 'beat') is mapped to the target.
+     Targets are 'beat', 'zone' or 'volume:<instrument>' */
+  startLearning(target) {
+    this.learning = target;
+  }
+
+  learn(source) {
+    this.mappings[this.learning] = source;
+    this.learning = null;
+    saveMappings(this.mappings);
+    this.props.renderMidiSettings();
+  }
+
+  forget(target) {
+    delete this.mappings[target];
+    if (this.learning === target) this.learning = null;
+    saveMappings(this.mappings);
+  }
+}
+
+function isSameControl(a, b) {
+  return a.type === b.type && a.input === b.input && a.channel === b.channel && a.number === b.number;
+}
+
+/* localStorage can be unavailable (e.g. some private browsing modes) */
+function loadMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveMappings(mappings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+  } catch (error) {
+    console.warn('Could not save MIDI mappings:', error.message);
+  }
+}
@@ -0,0 +1,115 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import Tone from 'tone';
+import config from '../config';
+
+const PERCUSSION_CHANNEL = 9;
+const CLOCKS_PER_BEAT = 24;
+
+/* Sends the conducted performance to a Web MIDI output (an external synth or
+   a DAW): each track on its own channel, with the conducted velocities &
+   durations, plus MIDI clock following the Transport's live tempo */
+export default class MidiOutput {
+  constructor() {
+    this.output = null;
+    this.keepAudio = config.midiOutput.keepAudio;
+    this.channels = new Map();
+    this.nextChannel = 0;
+    this.playing = false;
+
+    Tone.Transport.on('start', (time) => {
+      this.send([this.playing ? 0xfb : 0xfa], time); // Continue or start
+      this.playing = true;
+    });
+    Tone.Transport.on('pause', (time) => this.send([0xfc], time));
+    Tone.Transport.on('stop', (time) => {
+      this.send([0xfc], time);
+      this.playing = false;
+    });
+  }
+
+  /* Sends to the given MIDIOutput, or nothing if null */
+  setOutput(output) {
+    this.allNotesOff();
+    this.output = output;
+    this.channels = new Map();
+    this.nextChannel = 0;
+    this.playing = false;
+  }
+
+  setKeepAudio(keepAudio) {
+    this.keepAudio = keepAudio;
+  }
+
+  isSending() {
+    return !!this.output;
+  }
+
+  /* Clock pulses go out 24 times a beat, so they follow the tempo as it's conducted.
+     Called whenever the Transport is set up for a song */
+  queueClock() {
+    if (!config.midiOutput.clock) return;
+    Tone.Transport.scheduleRepeat((time) => {
+      this.send([0xf8], time);
+    }, Math.round(Tone.Transport.PPQ / CLOCKS_PER_BEAT) + 'i');
+  }
+
+  /* Each track gets a channel, set to its General MIDI program if it has one.
+     Percussion stays on channel 10 */
+  getChannel(track) {
+    if (this.channels.has(track)) return this.channels.get(track);
+
+    let channel = PERCUSSION_CHANNEL;
+    if (!track.isPercussion) {
+      channel = this.nextChannel;
+      this.nextChannel = (this.nextChannel + 1) % 16;
+      if (this.nextChannel === PERCUSSION_CHANNEL) this.nextChannel++;
+      if (typeof track.instrumentNumber === 'number') this.send([0xc0 | channel, track.instrumentNumber]);
+    }
+    this.channels.set(track, channel);
+    return channel;
+  }
+
+  /* Returns the { channel, number } to pass to noteOff */
+  noteOn(track, number, time, velocity) {
+    const note = { channel: this.getChannel(track), number };
+    const midiVelocity = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+    this.send([0x90 | note.channel, number, midiVelocity], time);
+    return note;
+  }
+
+  noteOff(note, time) {
+    this.send([0x80 | note.channel, note.number, 0], time);
+  }
+
+  allNotesOff() {
+    if (!this.output) return;
+    for (let channel = 0; channel < 16; channel++) this.send([0xb0 | channel, 123, 0]);
+  }
+
+  /* Times are on the audio clock (seconds), MIDI timestamps on performance.now() (ms) */
+  send(data, time) {
+    if (!this.output) return;
+    const delay = typeof time === 'number' ? Math.max(0, time - Tone.context.currentTime) : 0;
+    this.output.send(data, performance.now() + delay * 1000);
+  }
+}
@@ -0,0 +1,351 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+// Reads a standard MIDI file (.mid) into the same song structure as the
+// Tone.js MIDI-to-JSON converter, so AudioPlayer can play it directly.
+
+import { ticksToSeconds } from './tempo-map';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const INSTRUMENT_FAMILIES = [
+  'piano', 'chromatic percussion', 'organ', 'guitar', 'bass', 'strings',
+  'ensemble', 'brass', 'reed', 'pipe', 'synth lead', 'synth pad',
+  'synth effects', 'ethnic', 'percussive', 'sound effects'
+];
+
+const PERCUSSION_CHANNEL = 9;
+const DEFAULT_TEMPO = 120;
+
+/* Takes an ArrayBuffer of a .mid file & a table of General MIDI program numbers
+   to instrument names in samples.json. Returns { song, unmappedTracks }, where
+   unmappedTracks lists any { name, channelNumber, instrumentNumber, isPercussion }
+   that couldn't be given an instrument (and so were left out of the song) */
+export function parseMidi(arrayBuffer, instrumentMap) {
+  const reader = new MidiReader(arrayBuffer);
+  const header = readHeader(reader);
+  const midiTracks = [];
+  for (let i = 0; i < header.trackCount; i++) {
+    midiTracks.push(readTrack(reader));
+  }
+
+  const tempos = getTempoEvents(midiTracks, header.ppq);
+  const timeSignatures = getTimeSignatureEvents(midiTracks, tempos, header.ppq);
+  const toSeconds = (ticks) => ticksToSeconds(ticks, tempos, header.ppq);
+
+  const song = {
+    header: {
+      PPQ: header.ppq,
+      bpm: tempos[0].bpm,
+      timeSignature: timeSignatures[0].timeSignature,
+      name: getSongName(midiTracks),
+      tempos,
+      timeSignatures
+    },
+    startTime: 0,
+    duration: 0,
+    tracks: []
+  };
+
+  const unmappedTracks = [];
+  getNoteTracks(midiTracks).filter((noteTrack) => noteTrack.notes.length > 0).forEach((noteTrack) => {
+    const isPercussion = noteTrack.channel === PERCUSSION_CHANNEL;
+    const instrument = isPercussion ? instrumentMap.percussion : instrumentMap[noteTrack.program];
+    const trackInfo = {
+      name: noteTrack.name,
+      channelNumber: noteTrack.channel,
+      instrumentNumber: noteTrack.program,
+      isPercussion
+    };
+
+    if (!instrument) {
+      unmappedTracks.push(trackInfo);
+      return;
+    }
+
+    const notes = noteTrack.notes.map((note) => {
+      const time = toSeconds(note.ticks);
+      return {
+        name: getNoteName(note.midi),
+        midi: note.midi,
+        ticks: note.ticks,
+        durationTicks: note.durationTicks,
+        time,
+        velocity: note.velocity,
+        duration: toSeconds(note.ticks + note.durationTicks) - time
+      };
+    });
+    const end = Math.max(...notes.map((note) => note.time + note.duration));
+
+    song.tracks.push(Object.assign(trackInfo, {
+      id: song.tracks.length,
+      startTime: notes[0].time,
+      duration: end,
+      length: notes.length,
+      notes,
+      controlChanges: {},
+      instrument,
+      instrumentFamily: isPercussion ? 'drums' : INSTRUMENT_FAMILIES[Math.floor(noteTrack.program / 8)]
+    }));
+    song.duration = Math.max(song.duration, end);
+  });
+
+  return { song, unmappedTracks };
+}
+
+/* Converts a MIDI note number to a name Tone.js understands, e.g. 61 -> 'C#4' */
+export function getNoteName(midi) {
+  return NOTE_NAMES[midi % 12] + (Math.floor(midi / 12) - 1);
+}
+
+/* Reading the file */
+
+class MidiReader {
+  constructor(arrayBuffer) {
+    this.data = new DataView(arrayBuffer);
+    this.position = 0;
+  }
+
+  uint8() {
+    return this.data.getUint8(this.position++);
+  }
+
+  uint16() {
+    const value = this.data.getUint16(this.position);
+    this.position += 2;
+    return value;
+  }
+
+  uint32() {
+    const value = this.data.getUint32(this.position);
+    this.position += 4;
+    return value;
+  }
+
+  string(length) {
+    let string = '';
+    for (let i = 0; i < length; i++) string += String.fromCharCode(this.uint8());
+    return string;
+  }
+
+  /* Variable length quantities use 7 bits per byte, high bit = more to come */
+  variableLength() {
+    let value = 0;
+    let byte;
+    do {
+      byte = this.uint8();
+      value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  }
+}
+
+function readHeader(reader) {
+  if (reader.string(4) !== 'MThd') throw new Error('Not a MIDI file');
+  const length = reader.uint32();
+  const format = reader.uint16();
+  const trackCount = reader.uint16();
+  const division = reader.uint16();
+  reader.position += length - 6;
+
+  if (division & 0x8000) throw new Error('SMPTE timed MIDI files are not supported');
+  return { format, trackCount, ppq: division };
+}
+
+/* Reads one MTrk chunk into a list of { ticks, type, ... } events */
+function readTrack(reader) {
+  // Skip over any chunks we don't know about
+  let chunkType = reader.string(4);
+  while (chunkType !== 'MTrk') {
+    reader.position += reader.uint32();
+    chunkType = reader.string(4);
+  }
+
+  const end = reader.uint32() + reader.position;
+  const events = [];
+  let ticks = 0;
+  let runningStatus = null;
+
+  while (reader.position < end) {
+    ticks += reader.variableLength();
+    let status = reader.uint8();
+
+    if (status === 0xff) {
+      const metaType = reader.uint8();
+      const length = reader.variableLength();
+      const start = reader.position;
+      if (metaType === 0x03) {
+        events.push({ ticks, type: 'trackName', text: reader.string(length) });
+      } else if (metaType === 0x51) {
+        const microsecondsPerBeat = (reader.uint8() << 16) | (reader.uint8() << 8) | reader.uint8();
+        events.push({ ticks, type: 'tempo', bpm: 60000000 / microsecondsPerBeat });
+      } else if (metaType === 0x58) {
+        const numerator = reader.uint8();
+        const denominator = Math.pow(2, reader.uint8());
+        events.push({ ticks, type: 'timeSignature', timeSignature: [numerator, denominator] });
+      }
+      reader.position = start + length;
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      // SysEx, we don't need it
+      reader.position += reader.variableLength();
+      continue;
+    }
+
+    // Channel events may leave out the status byte if it's the same as the last one
+    let firstByte;
+    if (status & 0x80) {
+      runningStatus = status;
+      firstByte = reader.uint8();
+    } else {
+      firstByte = status;
+      status = runningStatus;
+    }
+
+    const channel = status & 0x0f;
+    switch (status & 0xf0) {
+      case 0x90: {
+        const velocity = reader.uint8();
+        events.push({ ticks, channel, type: velocity > 0 ? 'noteOn' : 'noteOff', midi: firstByte, velocity: velocity / 127 });
+        break;
+      }
+      case 0x80:
+        reader.uint8();
+        events.push({ ticks, channel, type: 'noteOff', midi: firstByte });
+        break;
+      case 0xc0:
+        events.push({ ticks, channel, type: 'programChange', program: firstByte });
+        break;
+      case 0xd0:
+        break;
+      case 0xa0:
+      case 0xb0:
+      case 0xe0:
+        reader.uint8();
+        break;
+      default:
+        throw new Error('Unexpected MIDI event at byte ' + reader.position);
+    }
+  }
+
+  reader.position = end;
+  return events;
+}
+
+/* Turning events into a song */
+
+/* Every tempo change in the file, with its time in seconds. There's always one at tick 0 */
+function getTempoEvents(midiTracks, ppq) {
+  const events = getEvents(midiTracks, 'tempo');
+  if (events.length === 0 || events[0].ticks > 0) events.unshift({ ticks: 0, bpm: DEFAULT_TEMPO });
+
+  const tempos = [];
+  events.forEach((event) => {
+    // Two tempos at the same tick, the last one wins
+    if (tempos.length > 0 && tempos[tempos.length - 1].ticks === event.ticks) tempos.pop();
+    tempos.push({ ticks: event.ticks, bpm: event.bpm });
+  });
+  tempos.forEach((tempo, i) => {
+    tempo.time = i === 0 ? 0 : ticksToSeconds(tempo.ticks, tempos.slice(0, i), ppq);
+  });
+  return tempos;
+}
+
+/* Every time signature change in the file, with its time in seconds. There's always one at tick 0 */
+function getTimeSignatureEvents(midiTracks, tempos, ppq) {
+  const events = getEvents(midiTracks, 'timeSignature');
+  if (events.length === 0 || events[0].ticks > 0) events.unshift({ ticks: 0, timeSignature: [4, 4] });
+
+  return events.map((event) => ({
+    ticks: event.ticks,
+    time: ticksToSeconds(event.ticks, tempos, ppq),
+    timeSignature: event.timeSignature
+  }));
+}
+
+function getEvents(midiTracks, type) {
+  const events = [];
+  midiTracks.forEach((trackEvents) => {
+    trackEvents.forEach((event) => {
+      if (event.type === type) events.push(event);
+    });
+  });
+  return events.sort((a, b) => a.ticks - b.ticks);
+}
+
+function getSongName(midiTracks) {
+  const nameEvent = midiTracks.length > 0 && midiTracks[0].find((event) => event.type === 'trackName');
+  return nameEvent ? nameEvent.text : '';
+}
+
+/* Splits notes by MIDI track & channel, pairing up note ons & offs */
+function getNoteTracks(midiTracks) {
+  const noteTracks = [];
+  const programs = new Array(16).fill(0); // Channels are shared by all tracks
+
+  // Format 1 files have their program changes in time order across tracks,
+  // so handle every track's events together
+  const events = [];
+  midiTracks.forEach((trackEvents, track) => {
+    trackEvents.forEach((event, order) => events.push(Object.assign({ track, order }, event)));
+  });
+  events.sort((a, b) => (a.ticks - b.ticks) || (a.track - b.track) || (a.order - b.order));
+
+  const byKey = {};
+  const openNotes = {};
+  events.forEach((event) => {
+    if (event.type === 'programChange') {
+      programs[event.channel] = event.program;
+      return;
+    }
+    if (event.type !== 'noteOn' && event.type !== 'noteOff') return;
+
+    // A track only starts at its first note on, so stray note offs don't make an empty one
+    const key = event.track + ':' + event.channel;
+    if (!byKey[key]) {
+      if (event.type === 'noteOff') return;
+      const nameEvent = midiTracks[event.track].find((e) => e.type === 'trackName');
+      byKey[key] = {
+        track: event.track,
+        channel: event.channel,
+        program: programs[event.channel],
+        name: nameEvent ? nameEvent.text : '',
+        notes: []
+      };
+      noteTracks.push(byKey[key]);
+    }
+
+    const noteKey = key + ':' + event.midi;
+    openNotes[noteKey] = openNotes[noteKey] || [];
+    if (event.type === 'noteOn') {
+      const note = { midi: event.midi, ticks: event.ticks, velocity: event.velocity, durationTicks: 0 };
+      openNotes[noteKey].push(note);
+      byKey[key].notes.push(note);
+    } else if (openNotes[noteKey].length > 0) {
+      const note = openNotes[noteKey].shift();
+      note.durationTicks = event.ticks - note.ticks;
+    }
+  });
+
+  return noteTracks;
+}
@@ -0,0 +1,131 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+// Writes a song in the same structure midi-parser.js reads into a standard
+// MIDI file, e.g. for downloading a conducted performance.
+
+const PERCUSSION_CHANNEL = 9;
+
+/* Takes a song with header.PPQ, header.tempos ({ ticks, bpm }), header.timeSignatures
+   ({ ticks, timeSignature }) & tracks of notes with midi, ticks, durationTicks
+   & velocity (0 - 1). Returns the .mid file as a Uint8Array (format 1: a tempo
+   track, then one track per song track, each on its own channel) */
+export function writeMidi(song) {
+  const header = song.header;
+  const chunks = [writeHeader(song.tracks.length + 1, header.PPQ), writeTempoTrack(header)];
+
+  let nextChannel = 0;
+  song.tracks.forEach((track) => {
+    let channel = PERCUSSION_CHANNEL;
+    if (!track.isPercussion) {
+      channel = nextChannel;
+      nextChannel = (nextChannel + 1) % 16;
+      if (nextChannel === PERCUSSION_CHANNEL) nextChannel++;
+    }
+    chunks.push(writeNoteTrack(track, channel));
+  });
+
+  const file = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    file.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return file;
+}
+
+function writeHeader(trackCount, ppq) {
+  return new Uint8Array([
+    ...text('MThd'), ...uint32(6),
+    ...uint16(1), ...uint16(trackCount), ...uint16(ppq)
+  ]);
+}
+
+function writeTempoTrack(header) {
+  const events = [];
+  if (header.name) events.push({ ticks: 0, data: meta(0x03, text(header.name)) });
+  (header.timeSignatures || []).forEach((event) => {
+    const [numerator, denominator] = event.timeSignature;
+    events.push({ ticks: event.ticks, data: meta(0x58, [numerator, Math.log2(denominator), 24, 8]) });
+  });
+  header.tempos.forEach((tempo) => {
+    const microsecondsPerBeat = Math.round(60000000 / tempo.bpm);
+    events.push({
+      ticks: tempo.ticks,
+      data: meta(0x51, [(microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff])
+    });
+  });
+  return writeTrack(events);
+}
+
+function writeNoteTrack(track, channel) {
+  const events = [];
+  if (track.name) events.push({ ticks: 0, data: meta(0x03, text(track.name)) });
+  if (!track.isPercussion && typeof track.instrumentNumber === 'number') {
+    events.push({ ticks: 0, data: [0xc0 | channel, track.instrumentNumber] });
+  }
+  track.notes.forEach((note) => {
+    const ticks = Math.round(note.ticks);
+    const velocity = Math.max(1, Math.min(127, Math.round(note.velocity * 127)));
+    events.push({ ticks, data: [0x90 | channel, note.midi, velocity] });
+    // Note offs go before note ons at the same tick, so repeated notes don't cut each other off
+    events.push({ ticks: ticks + Math.max(1, Math.round(note.durationTicks)), data: [0x80 | channel, note.midi, 0], isOff: true });
+  });
+  return writeTrack(events);
+}
+
+/* Sorts events into time order & writes them with their delta times as an MTrk chunk */
+function writeTrack(events) {
+  events.sort((a, b) => (a.ticks - b.ticks) || ((b.isOff ? 1 : 0) - (a.isOff ? 1 : 0)));
+
+  const data = [];
+  let ticks = 0;
+  events.forEach((event) => {
+    data.push(...variableLength(event.ticks - ticks), ...event.data);
+    ticks = event.ticks;
+  });
+  data.push(0, ...meta(0x2f, []));
+
+  return new Uint8Array([...text('MTrk'), ...uint32(data.length), ...data]);
+}
+
+function meta(type, bytes) {
+  return [0xff, type, ...variableLength(bytes.length), ...bytes];
+}
+
+/* Variable length quantities use 7 bits per byte, high bit = more to come */
+function variableLength(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80);
+  return bytes;
+}
+
+function text(string) {
+  return Array.from(string).map((character) => character.charCodeAt(0) & 0xff);
+}
+
+function uint16(value) {
+  return [(value >> 8) & 0xff, value & 0xff];
+}
+
+function uint32(value) {
+  return [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
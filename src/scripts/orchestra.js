@@ -20,7 +20,9 @@ under the License.
 */
 
 import * as PIXI from 'pixi.js';
-import instruments from '../assets/gui-instruments.js';
+import config from '../config';
+import layout from '../assets/stage-layout.js';
+import { getSeating } from './seating';
 
 // Width of stage = 1288px
 
@@ -32,7 +34,10 @@ export default class Orchestra {
     this.maxWidth = 1400;
     this.maxHeight = 670;
 
-    this.instruments = instruments;
+    this.instruments = {};
+    this.tracks = null;
+    this.activeInstruments = null; // Everyone plays until a zone is picked
+    this.genericTextures = {};
 
     // BEGIN CUSTOM ROSALYN THEMING
     this.gtmAlignment = {
@@ -48,7 +53,8 @@ export default class Orchestra {
     const app = new PIXI.Application({
       width: this.maxWidth,
       height: this.maxHeight,
-      transparent: true
+      transparent: true,
+      preserveDrawingBuffer: true // So video recordings can copy the stage
     });
 
     this.offset = { x: -30, y: -160 }
@@ -74,27 +80,60 @@ export default class Orchestra {
     stage.y = (this.maxHeight - stage.height) / 2;
     stage.x = (this.maxWidth - stage.width) / 2;
     this.app.stage.addChild(stage);
+    this.stage = stage;
+    this.textures = textures;
 
     // BEGIN CUSTOM ROSALYN THEMING
     // Add GTM process labels as HTML overlays
     this.addGTMLabels();
     // END CUSTOM ROSALYN THEMING
 
-    // Set up instruments
+    if (this.tracks) this.setInstruments(this.tracks);
+
+    // Adapt resolution to screen
+    this.app.renderer.view.style.width = "100%";
+    this.loop();
+  }
+
+  /* Called from main.js when a song loads, seats the players for its tracks */
+  setInstruments(tracks) {
+    this.tracks = tracks;
+    if (!this.stage) return; // Seated once the textures have loaded
+
     Object.keys(this.instruments).forEach((name) => {
+      this.instruments[name].objects.forEach((inst) => this.stage.removeChild(inst.sprite));
+    });
+    this.instruments = {};
+
+    const seating = getSeating(tracks, layout);
+    Object.keys(seating).forEach((name) => {
+      const instrument = seating[name];
+      const texture = this.textures[instrument.texture] || this.getGenericTexture(instrument.family);
+      const bowTexture = instrument.bow && this.textures[instrument.bow];
+      this.instruments[name] = {
+        animation: { triggered: false },
+        level: 1, // 1 when the section is playing, 0 when muted
+        objects: instrument.seats.map((seat) => Object.assign({}, seat, { bow: seat.bow && Object.assign({}, seat.bow) }))
+      };
+
       this.instruments[name].objects.forEach((inst) => {
         inst.x0 += this.offset.x;
         inst.y0 += this.offset.y;
 
-        inst.sprite = new PIXI.Sprite(textures[name]);
-        inst.bow.sprite = new PIXI.Sprite(textures[name + 'Bow']);
+        inst.sprite = new PIXI.Sprite(texture);
+        inst.sprite.scale.set(inst.scale);
 
-        inst.bow.sprite.anchor.set(0.5, 0.5);
-        inst.bow.sprite.x = inst.bow.x0;
-        inst.bow.sprite.y = inst.bow.y0;
-        inst.bow.sprite.rotation = inst.bow.rotation0;
-        
-        inst.sprite.addChild(inst.bow.sprite);
+        if (bowTexture && inst.bow) {
+          inst.bow.sprite = new PIXI.Sprite(bowTexture);
+          inst.bow.sprite.anchor.set(0.5, 0.5);
+          inst.bow.sprite.x = inst.bow.x0;
+          inst.bow.sprite.y = inst.bow.y0;
+          inst.bow.sprite.rotation = inst.bow.rotation0;
+
+          inst.sprite.addChild(inst.bow.sprite);
+        } else {
+          inst.bow = null;
+        }
 
         inst.sprite.anchor.set(0.5, 0.5);
         inst.sprite.x = inst.x0;
@@ -114,23 +153,59 @@ export default class Orchestra {
         inst.sprite.y = inst.y0 + (Math.random() - 0.5) * 15; // ±7.5px
         // END CUSTOM ROSALYN THEMING
 
-        stage.addChild(inst.sprite);
+        this.stage.addChild(inst.sprite);
       });
     });
+  }
 
-    // Adapt resolution to screen
-    this.app.renderer.view.style.width = "100%";
-    this.loop();
+  /* A player drawn as a music stand & chair in their family's colour, for
+     instruments without their own texture */
+  getGenericTexture(family) {
+    if (!this.genericTextures[family]) {
+      const color = (layout.families[family] || layout.families.other).color;
+      const graphics = new PIXI.Graphics();
+      graphics.beginFill(color);
+      graphics.drawCircle(30, 40, 22);
+      graphics.endFill();
+      graphics.beginFill(0x222222);
+      graphics.drawRoundedRect(10, 0, 40, 10, 3);
+      graphics.endFill();
+      this.genericTextures[family] = this.app.renderer.generateTexture(graphics);
+    }
+    return this.genericTextures[family];
+  }
+
+  /* Called with AudioPlayer's active instruments: their players light up, the rest dim */
+  setActiveInstruments(instruments) {
+    this.activeInstruments = instruments;
+  }
+
+  /* Fades each section towards lit or dimmed */
+  updateActiveInstruments() {
+    Object.keys(this.instruments).forEach((name) => {
+      const instrument = this.instruments[name];
+      const target = !this.activeInstruments || this.activeInstruments.includes(name) ? 1 : 0;
+      instrument.level += (target - instrument.level) * config.display.zoneFade;
+
+      const alpha = config.display.mutedAlpha + (1 - config.display.mutedAlpha) * instrument.level;
+      const shade = Math.round(0x88 + (0xff - 0x88) * instrument.level);
+      instrument.objects.forEach((inst) => {
+        inst.sprite.alpha = alpha;
+        inst.sprite.tint = (shade << 16) | (shade << 8) | shade;
+      });
+    });
   }
 
   /* For each frame, do this animation (animate any triggered insts) */
   loop() {
+    this.updateActiveInstruments();
+
     Object.keys(this.instruments).forEach((name) => {
       const animation = this.instruments[name].animation;
       if (animation.triggered) {
         this.instruments[name].objects.forEach((inst) => {
           const sinArgument = (1 / animation.duration) * 2 * Math.PI * (Date.now() - animation.startTime) / 1000;
-          inst.bow.sprite.x = inst.bow.x0 + 10 * Math.sin(sinArgument);
+          if (inst.bow) inst.bow.sprite.x = inst.bow.x0 + 10 * Math.sin(sinArgument);
           inst.sprite.rotation = inst.rotation0 + 0.025 * Math.sin(sinArgument);
           inst.sprite.y = inst.y0 - 10 * this.velocity * (1 + Math.sin(0.5 * sinArgument));
         });
@@ -148,6 +223,7 @@ export default class Orchestra {
   /* Called when a note is triggered for an instrument */
   trigger(instrument, duration, velocity) {
     const inst = this.instruments[instrument];
+    if (!inst) return;
     if (inst.animation.timeout) clearTimeout(inst.animation.timeout);
     inst.animation.triggered = true;
     inst.animation.startTime = Date.now();
@@ -0,0 +1,101 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import config from '../config';
+import { average } from './helpers';
+
+/* Works out which pattern (2, 3 or 4 beats to the bar) is being conducted from
+   the shape of recent beats. Each pattern repeats the same strokes every bar,
+   e.g. in 4 it's down, in, out, up, so the pattern is whichever bar length best
+   explains how deep & in which direction each stroke was. Beat 1 is the deepest. */
+export default class PatternDetector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.beats = [];
+    this.lastBeat = null;
+  }
+
+  /* Takes a beat from BeatDetector, returns { beats, beatNumber } or null if unsure */
+  addBeat(beat, armspan) {
+    // Start again after a pause
+    const maxInterval = 60000 / config.detection.minimumBpm;
+    if (this.lastBeat && beat.time - this.lastBeat.time > maxInterval) this.reset();
+
+    const previous = this.lastBeat;
+    this.lastBeat = beat;
+    this.beats.push({
+      depth: beat.depth / armspan,
+      movement: previous ? (beat.position.x - previous.position.x) / armspan : 0
+    });
+    if (this.beats.length > config.patterns.beatCount) this.beats.shift();
+
+    return this.classify();
+  }
+
+  classify() {
+    const scores = config.patterns.patterns.map((beats) => {
+      if (this.beats.length < beats * config.patterns.minBars) return 0;
+      return getExplainedVariance(this.beats, beats);
+    });
+    const best = Math.max(...scores);
+    if (best < config.patterns.minConfidence) return null;
+
+    // A pattern in 2 repeats in 4 too, so take the shortest that fits nearly as well
+    const index = scores.findIndex((score) => score >= best - config.patterns.margin);
+    const beats = config.patterns.patterns[index];
+
+    const depths = getPhaseMeans(this.beats, beats, 'depth');
+    const downbeat = depths.indexOf(Math.max(...depths));
+    const last = this.beats.length - 1;
+    return {
+      beats,
+      beatNumber: ((last - downbeat) % beats + beats) % beats + 1
+    };
+  }
+}
+
+/* Average of a feature at each position in the bar, e.g. the depth of every beat 2 */
+function getPhaseMeans(beats, length, feature) {
+  const means = [];
+  for (let phase = 0; phase < length; phase++) {
+    means.push(average(beats.filter((beat, i) => i % length === phase).map((beat) => beat[feature])));
+  }
+  return means;
+}
+
+/* How much of the difference between strokes (0 - 1) is down to where they
+   fall in a bar of this length */
+function getExplainedVariance(beats, length) {
+  let total = 0;
+  let between = 0;
+  ['depth', 'movement'].forEach((feature) => {
+    const mean = average(beats.map((beat) => beat[feature]));
+    const means = getPhaseMeans(beats, length, feature);
+    beats.forEach((beat, i) => {
+      total += Math.pow(beat[feature] - mean, 2);
+      between += Math.pow(means[i % length] - mean, 2);
+    });
+  });
+  return total > 0 ? between / total : 0;
+}
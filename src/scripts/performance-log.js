@@ -0,0 +1,162 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import { secondsToTicks } from './tempo-map';
+
+const PPQ = 480;
+
+/* What actually happened in a performance: every note played, with its real
+   time, duration & velocity, and the automation behind them: the Transport's
+   tempo, the dynamics & the zone as they were conducted.
+   Times are seconds on the audio clock, from when the orchestra first came in */
+export default class PerformanceLog {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.startTime = null;
+    this.bpm = null;
+    this.velocity = null;
+    this.zone = null;
+    this.notes = [];
+    this.tempos = [];
+    this.velocities = [];
+    this.zones = [];
+    this.positions = [];
+  }
+
+  /* Called each time the Transport starts, the first start is time 0 */
+  start(time, bpm) {
+    if (this.startTime !== null) return;
+    this.startTime = time;
+    this.tempos.push({ time: 0, bpm: bpm || this.bpm });
+    if (this.velocity !== null) this.velocities.push({ time: 0, velocity: this.velocity });
+    if (this.zone !== null) this.zones.push({ time: 0, zone: this.zone });
+  }
+
+  isEmpty() {
+    return this.notes.length === 0;
+  }
+
+  /* Seconds until the last note was released */
+  getDuration() {
+    return this.notes.reduce((end, note) => Math.max(end, note.time + note.duration), 0);
+  }
+
+  getTime(time) {
+    return Math.max(0, time - this.startTime);
+  }
+
+  addTempo(time, bpm) {
+    this.bpm = bpm;
+    if (this.startTime === null) return;
+
+    const last = this.tempos[this.tempos.length - 1];
+    if (Math.abs(last.bpm - bpm) < 0.01) return;
+    this.tempos.push({ time: this.getTime(time), bpm });
+    // Score tempo changes are scheduled a little ahead, keep them in order
+    this.tempos.sort((a, b) => a.time - b.time);
+  }
+
+  addVelocity(time, velocity) {
+    this.velocity = velocity;
+    if (this.startTime === null) return;
+    const last = this.velocities[this.velocities.length - 1];
+    if (!last || Math.abs(last.velocity - velocity) >= 0.01) this.velocities.push({ time: this.getTime(time), velocity });
+  }
+
+  addZone(time, zone) {
+    this.zone = zone;
+    if (this.startTime === null) return;
+    const last = this.zones[this.zones.length - 1];
+    if (!last || last.zone !== zone) this.zones.push({ time: this.getTime(time), zone });
+  }
+
+  /* Where the orchestra was in the score each beat, for scoring:
+     { progress, bpm, referenceBpm, velocity, zone } */
+  addPosition(time, position) {
+    if (this.startTime === null) return;
+    this.positions.push(Object.assign({ time: this.getTime(time) }, position));
+  }
+
+  /* track is the song's track, note is { name, midi, time, duration, velocity, articulation,
+     roundRobin }. Returns the logged note, so its end can be moved by setNoteEnd */
+  addNote(track, note) {
+    if (this.startTime === null) return null;
+    const logged = Object.assign({ track }, note, { time: this.getTime(note.time) });
+    this.notes.push(logged);
+    return logged;
+  }
+
+  /* Fermatas & cut-offs move a note's release from where it was scheduled */
+  setNoteEnd(note, time) {
+    if (note) note.duration = Math.max(0, this.getTime(time) - note.time);
+  }
+
+  /* The performance as a song (see midi-parser.js), in ticks of the conducted tempo */
+  toSong(name) {
+    const tempos = [];
+    this.tempos.forEach((tempo, i) => {
+      const previous = tempos[i - 1];
+      const ticks = previous ? Math.round(previous.ticks + (tempo.time - previous.time) * previous.bpm / 60 * PPQ) : 0;
+      tempos.push({ ticks, time: tempo.time, bpm: tempo.bpm });
+    });
+
+    const tracks = [];
+    this.notes.forEach((note) => {
+      let track = tracks.find((t) => t.source === note.track);
+      if (!track) {
+        track = {
+          source: note.track,
+          id: tracks.length,
+          name: note.track.name || note.track.instrument,
+          instrument: note.track.instrument,
+          instrumentNumber: note.track.instrumentNumber,
+          isPercussion: !!note.track.isPercussion,
+          notes: []
+        };
+        tracks.push(track);
+      }
+      const ticks = secondsToTicks(note.time, tempos, PPQ);
+      track.notes.push({
+        name: note.name,
+        midi: note.midi,
+        time: note.time,
+        duration: note.duration,
+        velocity: note.velocity,
+        ticks,
+        durationTicks: secondsToTicks(note.time + note.duration, tempos, PPQ) - ticks
+      });
+    });
+
+    return {
+      header: {
+        PPQ,
+        bpm: tempos[0].bpm,
+        name: name || '',
+        tempos: tempos.map((tempo) => ({ ticks: tempo.ticks, bpm: tempo.bpm })),
+        timeSignatures: []
+      },
+      tracks
+    };
+  }
+}
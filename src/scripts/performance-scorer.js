@@ -0,0 +1,156 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import config from '../config';
+import { getTempoMap, getNoteTicks } from './tempo-map';
+import { average, constrain } from './helpers';
+
+/* What the score asks for in each section of a piece: { start, end, dynamics, zone },
+   with start & end as song progress (0 - 100). The song catalogue can spell these out
+   as a piece's "expectations", otherwise they're worked out from the score: the
+   average note velocity, and the zone whose instruments best match the ones playing */
+export function getExpectations(song, zones, expectations) {
+  if (expectations && expectations.length > 0) return expectations;
+
+  const tempoMap = getTempoMap(song);
+  const notes = [];
+  song.tracks.forEach((track) => {
+    track.notes.forEach((note) => {
+      notes.push({ ticks: getNoteTicks(note, tempoMap).ticks, velocity: note.velocity, instrument: track.instrument });
+    });
+  });
+  // Progress is measured by the last note starting
+  const totalTicks = notes.reduce((max, note) => Math.max(max, note.ticks), 0) || 1;
+
+  const sections = [];
+  const count = config.scoring.sections;
+  for (let i = 0; i < count; i++) {
+    const start = 100 * i / count;
+    const end = 100 * (i + 1) / count;
+    const inSection = notes.filter((note) => {
+      const progress = 100 * note.ticks / totalTicks;
+      return progress >= start && (progress < end || (i === count - 1 && progress <= end));
+    });
+    if (inSection.length === 0) continue;
+
+    const instruments = inSection.map((note) => note.instrument)
+      .filter((instrument, j, all) => all.indexOf(instrument) === j);
+    sections.push({
+      start,
+      end,
+      dynamics: average(inSection.map((note) => note.velocity)),
+      zone: getBestZone(instruments, zones)
+    });
+  }
+  return sections;
+}
+
+/* The zone that plays the most of these instruments & the fewest others */
+function getBestZone(instruments, zones) {
+  let best = 0;
+  let bestMatch = -1;
+  zones.forEach((zone, i) => {
+    const shared = zone.instruments.filter((instrument) => instruments.includes(instrument)).length;
+    const all = zone.instruments.length + instruments.length - shared;
+    const match = all ? shared / all : 0;
+    if (match > bestMatch) {
+      best = i;
+      bestMatch = match;
+    }
+  });
+  return best;
+}
+
+/* Scores a performance from the positions in its PerformanceLog (sampled every
+   beat: { time, progress, bpm, referenceBpm, velocity, zone }) against the expectations.
+   Each rating is 0 - 100:
+   - steadiness: how little the tempo wavers from beat to beat
+   - tempoAccuracy: how close the tempo is to the score's
+   - dynamicContrast: how well the dynamics follow the score, louder & softer
+   - sectionCueing: how much of the time the right section was brought in */
+export function scorePerformance(positions, expectations) {
+  if (positions.length < 2) return null;
+  const settings = config.scoring;
+
+  const ratios = positions.map((position) => position.bpm / position.referenceBpm);
+  const changes = ratios.slice(1).map((ratio, i) => Math.abs(ratio - ratios[i]) / ratios[i]);
+  const steadiness = toRating(average(changes), settings.steadinessTolerance);
+
+  const tempoAccuracy = toRating(average(ratios.map((ratio) => Math.abs(ratio - 1))), settings.tempoTolerance);
+
+  // Compare each section's average dynamics & how far they move from the piece's average,
+  // so a performance has to get louder & softer in the right places
+  const sections = expectations.map((section) => {
+    const inSection = positions.filter((position) => {
+      return position.progress >= section.start && (position.progress < section.end || section.end >= 100);
+    });
+    return inSection.length > 0 ? { section, positions: inSection } : null;
+  }).filter((section) => section);
+
+  // Until the first dynamics are set or section picked (null), there's nothing to score them on
+  let dynamicContrast = null;
+  const dynamics = getScoredSections(sections, 'velocity');
+  if (dynamics.length > 0) {
+    const velocities = dynamics.map((s) => average(s.positions.map((position) => position.velocity)));
+    const expected = dynamics.map((s) => s.section.dynamics);
+    const velocityMean = average(velocities);
+    const expectedMean = average(expected);
+    const errors = velocities.map((velocity, i) => Math.abs((velocity - velocityMean) - (expected[i] - expectedMean)));
+    dynamicContrast = toRating(average(errors), settings.dynamicsTolerance);
+  }
+
+  let sectionCueing = null;
+  const cues = getScoredSections(sections, 'zone');
+  if (cues.length > 0) {
+    const cued = cues.map((s) => {
+      const matching = s.positions.filter((position) => position.zone === s.section.zone);
+      return matching.length / s.positions.length;
+    });
+    sectionCueing = Math.round(100 * average(cued));
+  }
+
+  const ratings = [steadiness, tempoAccuracy, dynamicContrast, sectionCueing].filter((rating) => rating !== null);
+  return {
+    overall: Math.round(average(ratings)),
+    steadiness,
+    tempoAccuracy,
+    dynamicContrast,
+    sectionCueing,
+    tempos: positions.map((position) => ({
+      progress: position.progress,
+      bpm: position.bpm,
+      referenceBpm: position.referenceBpm
+    }))
+  };
+}
+
+/* Sections with only the positions where the given key was set */
+function getScoredSections(sections, key) {
+  return sections.map((s) => ({
+    section: s.section,
+    positions: s.positions.filter((position) => typeof position[key] === 'number')
+  })).filter((s) => s.positions.length > 0);
+}
+
+/* 100 for no error, down to 0 at the tolerance */
+function toRating(error, tolerance) {
+  return Math.round(100 * constrain(1 - error / tolerance, { min: 0, max: 1 }));
+}
@@ -20,38 +20,73 @@ under the License.
 */
 
 import config from '../config';
-import * as posenet from '@tensorflow-models/posenet';
 import PosenetRenderer from './posenet-renderer';
-import { smooth, smoothNum } from './smoothing';
-import { getKeypoint, getKeypoints, getMidpoint, getDistance, getAverageDifference, getDistanceFromOrigin, arrayWithLargestVariation } from './helpers';
-
-// FYI -- 'leftWrist' is actually your right wrist ¯\_(ツ)_/¯ 
+import { createPoseSource } from './pose-sources';
+import PoseRecorder from './pose-recorder';
+import BeatDetector from './beat-detector';
+import PatternDetector from './pattern-detector';
+import { smooth } from './smoothing';
+import { getZoneGains } from './zones';
+import Calibration, { loadProfile, saveProfile, forgetProfile } from './calibration';
+import ConductorTracker from './conductor-tracker';
+import { getKeypoint, getMidpoint, getDistance, average, constrain, getPathLength, getPathExtent, getDirectionReversals, getPathTurning } from './helpers';
+
+// Joints are named from the conductor's side, see pose-sources.js
+const HANDS = ['left', 'right'];
 
 export default class PoseController {
   constructor(props) {
     this.props = props;
     this.armspan = 400;
-    this.isCalculatingSpeed = false;
+    this.envelope = null; // The conductor's reach from calibration, see calibration.js
+    this.rememberCalibration = config.calibration.remember;
     this.initialized = false;
     this.playedFirstNote = false;
     this.isEstimatingPose = false;
     this.stoppingTimeout = { timeout: null, pose: null };
+    this.handHistory = [];
+    this.articulation = 'sustain';
+    this.zones = config.zones;
+    this.zone = undefined;
+    this.velocity = 0.7;
+    this.hushStart = null;
+    this.fermata = false;
+    this.flick = null;
+    this.waitingForBeat = false;
+    this.setHands({ mode: config.hands.mode, leftHanded: config.hands.leftHanded });
+    this.beatDetectors = {};
+    HANDS.forEach((hand) => {
+      this.beatDetectors[hand] = new BeatDetector({
+        onBeat: (beat) => this.handleBeat(hand, beat)
+      });
+    });
+    this.patternDetector = new PatternDetector();
+    this.recorder = new PoseRecorder();
+    this.tracker = new ConductorTracker();
+    this.calibration = new Calibration({
+      onStep: (step) => this.props.renderer.renderCalibrationStep(step),
+      // Whoever holds the T-pose is the conductor
+      onHeld: (step, pose) => { if (step === 'extent') this.tracker.lock(pose); },
+      onComplete: (envelope) => this.handleCalibration(envelope)
+    });
   }
 
-  /* Create the video/canvas objects and start the neural net */
+  /* Create the video/canvas objects and start the pose source picked in config.js */
   async initialize() {
-    this.video = await this.props.renderer.loadVideo();
-    if (!this.video) return;
-
-    this.video.play();
+    this.source = createPoseSource(config.pose);
+    if (this.source.needsCamera) {
+      this.video = await this.props.renderer.loadVideo();
+      if (!this.video) return;
+      this.video.play();
+    }
 
-    const canvas = this.props.renderer.setupVideoCanvas();
+    this.canvas = this.props.renderer.setupVideoCanvas();
     this.posenetRenderer = new PosenetRenderer({
       state: this.props.state,
-      canvas: canvas
+      canvas: this.canvas
     });
 
-    this.net = await posenet.load(config.posenet.mobileNetArchitecture);
+    await this.source.load();
     this.initialized = true;
 
     this.loop();
@@ -70,119 +105,360 @@ export default class PoseController {
     }
 
     if (this.pose && this.props.state.calibrating) {
-      if (this.detectCalibrationPose()) this.handleCalibration();
+      this.calibration.addPose(this.pose, this.getTime());
     }
 
     if (this.pose && this.props.state.conducting) {
-      this.detectTempo().then((tempo) => {
-        if (this.playedFirstNote) this.props.setTempo(tempo);
-      }).catch(() => { /* Ignore */ });
-
-      this.props.setInstrumentGroup(this.getHandZone());
-      this.props.setVelocity(this.getNormalisedHeight());
+      this.detectBeats();
+      this.updateZones();
+      this.props.setVelocity(this.getDynamics());
+      this.recordHandPositions();
+      this.detectArticulation();
+      this.detectGestures();
       this.setStoppingTimeout(); // Stop if hands not moving
     }
 
-    this.posenetRenderer.drawFrame(this.video, this.pose);
+    this.posenetRenderer.drawFrame(this.video, this.pose, this.zones, this.zone, this.fromBodySpace.bind(this));
     requestAnimationFrame(this.loop.bind(this));
   }
 
-  /* Get pose from Posenet and apply smoothing */
+  /* Get the conductor's pose from everyone the pose source sees and apply smoothing */
   async getPose() {
-    const posenetArgs = [
-      this.video,
-      config.posenet.imageScaleFactor,
-      config.posenet.flipHorizontal,
-      config.posenet.outputStride
-    ];
-
-    // Detect the pose
-    let pose;
-    if (config.posenet.algorithm === 'single-pose') {
-      pose = await this.net.estimateSinglePose(...posenetArgs)
-    } else {
-      const poses = await this.net.estimateMultiplePoses(...posenetArgs);
-      if (poses.length === 0) {
-        return;
-      }
-      // Take the pose with the highest score
-      // pose = poses.reduce((prev, current) => (prev.score >= current.score) ? prev : current);
-      pose = poses[0];
+    const poses = await this.source.estimate(this.video);
+    const pose = this.tracker.pick(poses, Date.now());
+    this.checkConductorLost();
+    if (!pose) {
+      this.recorder.addFrame(null, null);
+      return;
     }
 
-    if (pose.score >= config.posenet.minPoseConfidence) {
+    // Smoothing changes the pose, so copy it first if it's being recorded
+    const raw = this.recorder.recording ? JSON.parse(JSON.stringify(pose)) : pose;
+    if (pose.score >= config.pose.minPoseConfidence) {
       this.poseVisible = true;
-      return smooth(pose, this.armspan);
+      const smoothed = pose.isSmoothed ? pose : smooth(pose, this.armspan);
+      this.recorder.addFrame(raw, smoothed);
+      return smoothed;
     } else {
+      this.recorder.addFrame(raw, null);
       this.poseVisible = false;
       this.props.stop();
       return;
     }
   }
 
-  /* Calibration detection methods */
-
-  detectCalibrationPose() {
-    const parts = getKeypoints(this.pose, [
-      'leftWrist', 'rightWrist', 'leftElbow',
-      'rightElbow', 'leftShoulder', 'rightShoulder'
-    ]);
-    const margin = config.detection.calibrationMargin;
-    const maxDist = config.display.width;
-    
-    // Look for a T-shape pose, with hands in line with elbows and shoulders
-    return (
-      // this.handsVisible() &&
-      (parts.leftWrist.position.y < parts.leftShoulder.position.y + margin) &&
-      (parts.leftWrist.position.y > parts.leftShoulder.position.y - margin) &&
-      (parts.rightWrist.position.y < parts.rightShoulder.position.y + margin) &&
-      (parts.rightWrist.position.y > parts.rightShoulder.position.y - margin) &&
-      (parts.leftWrist.position.y < parts.leftElbow.position.y + margin) &&
-      (parts.leftWrist.position.y > parts.leftElbow.position.y - margin) &&
-      (parts.rightWrist.position.y < parts.rightElbow.position.y + margin) &&
-      (parts.rightWrist.position.y > parts.rightElbow.position.y - margin) && 
-      (parts.leftWrist.position.x > 0) && (parts.leftWrist.position.x < maxDist) &&
-      (parts.rightWrist.position.x > 0) && (parts.rightWrist.position.x < maxDist)
-    );
-  }
-
-  handleCalibration() {
-    this.armspan = this.getHandDistance();
+  /* Once calibrated, shows when the conductor can't be seen (or only other people
+     can), and stops the orchestra if they're gone for longer than a moment */
+  checkConductorLost() {
+    const lostTime = this.tracker.getLostTime(Date.now());
+    this.props.renderer.renderConductorLost(this.tracker.isLocked() && lostTime > 0);
+    const state = this.props.state;
+    if (lostTime >= config.tracking.graceTime && state.conducting && !state.stopped) {
+      this.props.stop();
+    }
+  }
+
+  /* Starts recording poses, or stops & downloads the recording. Returns whether it's recording */
+  toggleRecording() {
+    if (this.recorder.recording) {
+      this.recorder.stop();
+    } else {
+      this.recorder.start();
+    }
+    return this.recorder.recording;
+  }
+
+  /* When the current pose was captured (a recording's own time when replaying) */
+  getTime() {
+    return this.pose.timestamp;
+  }
+
+  /* Calibration */
+
+  /* Called from main.js when the calibration page opens. A remembered profile
+     only needs the T-pose */
+  startCalibration() {
+    this.tracker.reset();
+    this.calibration.start(this.rememberCalibration ? loadProfile() : null);
+  }
+
+  /* Called from main.js with the option picked on the start page */
+  setRememberCalibration(remember) {
+    this.rememberCalibration = remember;
+    if (!remember) forgetProfile();
+  }
+
+  /* Beat sizes, dynamics & zones all follow the conductor's envelope from here on */
+  handleCalibration(envelope) {
+    this.envelope = envelope;
+    this.armspan = envelope.right - envelope.left;
+    if (this.rememberCalibration) saveProfile(envelope);
     this.props.handleCalibration();
   }
 
-  /* Tempo detection */
-  async detectTempo() {
-    if (this.isCalculatingSpeed) throw 'Waiting for calculation to complete.';
-    this.isCalculatingSpeed = true;
-
-    const num = config.detection.distanceMeasurementNumber;
-    const interval = config.detection.distanceMeasurementInterval;
-
-    // Get an array of each hand's distance from the origin at various intervals
-    const distances = [[], []];
-    for (let i = 0; i < num; i++) {
-      setTimeout(() => {
-        if (!this.pose) return;
-        const leftHand = getKeypoint(this.pose, 'leftWrist');
-        const rightHand = getKeypoint(this.pose, 'rightWrist');
-        distances[0].push(getDistanceFromOrigin(leftHand.position));
-        distances[1].push(getDistanceFromOrigin(rightHand.position));
-      }, interval * i);
+  /* Beat detection */
+
+  /* Follow both hands, beats only count from whichever one is conducting */
+  detectBeats() {
+    const now = this.getTime();
+    HANDS.forEach((hand) => {
+      const keypoint = this.getJoint(hand, 'Wrist');
+      if (keypoint.score < config.pose.minPartConfidence) return;
+      this.beatDetectors[hand].addPosition(now, keypoint.position, this.armspan);
+    });
+  }
+
+  /* Called by a BeatDetector at the bottom of each stroke */
+  handleBeat(hand, beat) {
+    if (hand !== this.getConductingHand()) return;
+    beat.pattern = this.detectPattern(beat);
+    this.props.renderer.renderPattern(beat.pattern);
+
+    // At the start, or after a cut-off or fermata, the orchestra comes in on the beat
+    // after a preparatory upbeat, at the upbeat's tempo
+    if (this.waitingForBeat && !this.fermata) {
+      const tempo = beat.breathTempo || beat.tempo;
+      if (!tempo) return;
+      this.waitingForBeat = false;
+      this.playedFirstNote = true;
+      this.props.handleUpbeat(constrain(tempo, {
+        min: config.detection.minimumBpm,
+        max: config.detection.maximumBpm
+      }));
+      return;
+    }
+
+    if (!this.playedFirstNote || !beat.tempo) return;
+    this.props.setTempo(beat.tempo);
+    this.props.handleBeat(beat);
+  }
+
+  /* Called from main.js when the orchestra should wait for an upbeat before playing */
+  setWaitingForBeat(waiting) {
+    this.waitingForBeat = waiting;
+  }
+
+  /* Called from main.js when the experience restarts, so no fermata, tempo
+     or pattern carries over into the next performance */
+  reset() {
+    this.playedFirstNote = false;
+    this.fermata = false;
+    this.flick = null;
+    this.hushStart = null;
+    this.waitingForBeat = false;
+    this.handHistory = [];
+    clearTimeout(this.stoppingTimeout.timeout);
+    this.stoppingTimeout = { timeout: null, pose: null };
+    HANDS.forEach((hand) => this.beatDetectors[hand].reset());
+    this.patternDetector.reset();
+  }
+
+  /* Which pattern (2, 3 or 4) is being conducted, where this beat falls in it
+     and whether it's the same as the score's time signature */
+  detectPattern(beat) {
+    const pattern = this.patternDetector.addBeat(beat, this.armspan);
+    if (!pattern) return null;
+    pattern.scoreBeats = this.props.getBeatsPerBar();
+    pattern.matchesScore = pattern.beats === pattern.scoreBeats;
+    return pattern;
+  }
+
+  /* Articulation detection */
+
+  /* Keep a short history of wrist positions to analyse the shape of the gesture */
+  recordHandPositions() {
+    const now = this.getTime();
+    this.handHistory.push({
+      time: now,
+      left: Object.assign({}, this.getJoint('left', 'Wrist').position),
+      right: Object.assign({}, this.getJoint('right', 'Wrist').position)
+    });
+
+    const cutoff = now - Math.max(config.articulation.windowLength, config.gestures.windowLength);
+    while (this.handHistory.length > 0 && this.handHistory[0].time < cutoff) {
+      this.handHistory.shift();
+    }
+  }
+
+  /* Hand positions from the last given number of milliseconds */
+  getRecentHistory(length) {
+    const cutoff = this.getTime() - length;
+    return this.handHistory.filter((entry) => entry.time >= cutoff);
+  }
+
+  /* Sharp, jerky beats play staccato, smooth & wide strokes play legato (sustain)
+     and a fast, small shake plays tremolo */
+  detectArticulation() {
+    const history = this.getRecentHistory(config.articulation.windowLength);
+    if (history.length < 4) return;
+
+    const path = history.map((entry) => entry[this.getConductingHand()]);
+
+    const speeds = [];
+    for (let i = 1; i < history.length; i++) {
+      const interval = history[i].time - history[i - 1].time;
+      if (interval > 0) speeds.push(getDistance(path[i], path[i - 1]) / interval);
+    }
+    if (speeds.length === 0) return;
+
+    const meanSpeed = average(speeds);
+    const peakSpeed = Math.max(...speeds);
+    const extent = getPathExtent(path);
+    const seconds = (history[history.length - 1].time - history[0].time) / 1000;
+    const reversalRate = seconds > 0 ? getDirectionReversals(path) / seconds : 0;
+    const thresholds = config.articulation;
+
+    let articulation = this.articulation;
+    if (extent < thresholds.tremoloExtentArmspanRatio * this.armspan
+      && reversalRate >= thresholds.tremoloReversalsPerSecond) {
+      articulation = 'tremolo';
+    } else if (extent < config.detection.stoppingDistanceArmspanRatio * this.armspan) {
+      return; // Hands are still, keep playing as before
+    } else if (peakSpeed / meanSpeed >= thresholds.staccatoSpeedRatio) {
+      articulation = 'staccato';
+    } else if (extent >= thresholds.legatoExtentArmspanRatio * this.armspan) {
+      articulation = 'sustain';
+    }
+
+    if (articulation !== this.articulation) {
+      this.articulation = articulation;
+      this.props.setArticulation(articulation);
+    }
+  }
+
+  /* Cut-off & fermata detection */
+
+  /* A held, raised hand holds a fermata until it moves again. A closing circle
+     or a downward flick that doesn't bounce back up is a cut-off */
+  detectGestures() {
+    const hand = this.getConductingHand();
+    const history = this.getRecentHistory(config.gestures.windowLength);
+    if (history.length < 4) return;
+    const path = history.map((entry) => entry[hand]);
+
+    if (this.isFermata(hand)) {
+      if (!this.fermata) {
+        this.fermata = true;
+        this.waitingForBeat = true;
+        this.props.holdFermata();
+      }
+      return;
+    }
+    if (this.fermata) {
+      this.fermata = false;
+      this.props.releaseFermata();
+    }
+
+    if (this.isCircleCutOff(path) || this.isFlickCutOff(history, hand)) {
+      this.flick = null;
+      this.handHistory = [];
+      this.waitingForBeat = true;
+      this.props.cutOff();
     }
+  }
+
+  /* Hand raised above the shoulder & held still */
+  isFermata(hand) {
+    const history = this.getRecentHistory(config.gestures.fermataHoldTime);
+    if (history.length < 2 || this.getTime() - history[0].time < config.gestures.fermataHoldTime * 0.8) return false;
 
-    // After the above finishes, find the hand that moved the most,
-    // and get bpm based on that hand's speed
-    return new Promise((resolve) => {
-      setTimeout((() => {
-        const conductingHandDistances = arrayWithLargestVariation(distances);
-        const speed = this.getBpmFromDistances(conductingHandDistances, interval);
-        let bpm = smoothNum(speed, config.smoothing.speedSmoothing);
-        bpm = Math.min(bpm, config.detection.maximumBpm);
-        this.isCalculatingSpeed = false;
-        resolve(bpm);
-      }).bind(this), interval * num + 1)
-    })
+    const wrist = this.getJoint(hand, 'Wrist').position;
+    const shoulder = this.getJoint(hand, 'Shoulder').position;
+    const raised = shoulder.y - wrist.y >= config.gestures.fermataHeightArmspanRatio * this.armspan;
+    const extent = getPathExtent(history.map((entry) => entry[hand]));
+    return raised && extent < config.detection.stoppingDistanceArmspanRatio * this.armspan;
+  }
+
+  /* Most of a full turn, ending near where it started */
+  isCircleCutOff(path) {
+    const length = getPathLength(path);
+    if (length < config.gestures.circleLengthArmspanRatio * this.armspan) return false;
+    const closed = getDistance(path[0], path[path.length - 1]) <= config.gestures.circleClosedRatio * length;
+    return closed && Math.abs(getPathTurning(path, config.beats.minMovement)) >= config.gestures.circleDegrees;
+  }
+
+  /* A fast drop that stays down. A beat bounces back up, a cut-off doesn't */
+  isFlickCutOff(history, hand) {
+    const now = this.getTime();
+    const position = history[history.length - 1][hand];
+    const gestures = config.gestures;
+
+    if (this.flick) {
+      if (this.flick.y - position.y > config.beats.minDepthArmspanRatio * this.armspan) {
+        this.flick = null; // Bounced back up
+        return false;
+      }
+      return now - this.flick.time >= gestures.flickSettleTime;
+    }
+
+    // Highest point in the last moment, and how far the hand has fallen since
+    const recent = history.filter((entry) => entry.time >= now - gestures.flickTime);
+    const highest = Math.min(...recent.map((entry) => entry[hand].y));
+    if (position.y - highest >= gestures.flickDropArmspanRatio * this.armspan) {
+      this.flick = { time: now, y: position.y };
+    }
+    return false;
+  }
+
+  /* Conducting hands */
+
+  /* Called from main.js with the conducting style picked on the start page.
+     mode is 'independent' (the dominant hand keeps time, the other shapes
+     dynamics & cues sections) or 'together' (both hands do everything) */
+  setHands(settings) {
+    this.hands = {
+      mode: settings.mode,
+      dominant: settings.leftHanded ? 'left' : 'right'
+    };
+    this.zone = undefined;
+    this.hushStart = null;
+  }
+
+  getOtherHand() {
+    return this.hands.dominant === 'left' ? 'right' : 'left';
+  }
+
+  /* The dominant hand, or when both hands conduct together,
+     whichever has travelled furthest recently */
+  getConductingHand() {
+    if (this.hands.mode === 'independent') return this.hands.dominant;
+    const lengths = HANDS.map((hand) => getPathLength(this.handHistory.map((entry) => entry[hand])));
+    return HANDS[lengths.indexOf(Math.max(...lengths))];
+  }
+
+  /* The conductor's hand's joint, e.g. getJoint('left', 'Elbow') */
+  getJoint(hand, joint) {
+    return getKeypoint(this.pose, hand + joint);
+  }
+
+  /* The other hand's arm is stretched out towards a section. A raised palm
+     can reach as far, but it's hushing rather than pointing */
+  isPointing(hand) {
+    const wrist = this.getJoint(hand, 'Wrist');
+    const shoulder = this.getJoint(hand, 'Shoulder');
+    if (wrist.score < config.pose.minPartConfidence || this.isPalmRaised(hand)) return false;
+    return getDistance(wrist.position, shoulder.position) >= config.hands.pointReachArmspanRatio * this.armspan;
+  }
+
+  /* Forearm held upright, hand above the elbow */
+  isPalmRaised(hand) {
+    const wrist = this.getJoint(hand, 'Wrist');
+    const elbow = this.getJoint(hand, 'Elbow');
+    const rise = elbow.position.y - wrist.position.y;
+    const lean = Math.abs(elbow.position.x - wrist.position.x);
+    const angle = Math.atan2(lean, rise) * 180 / Math.PI;
+    return wrist.score >= config.pose.minPartConfidence && rise > 0
+      && angle <= config.hands.hushForearmAngle;
+  }
+
+  /* A raised palm, held for a moment */
+  isHushing(hand) {
+    if (!this.isPalmRaised(hand)) {
+      this.hushStart = null;
+      return false;
+    }
+    if (!this.hushStart) this.hushStart = this.getTime();
+    return this.getTime() - this.hushStart >= config.hands.hushHoldTime;
   }
 
   /* Stop music if hands not moving */
@@ -194,21 +470,22 @@ export default class PoseController {
 
     this.stoppingTimeout.timeout = setTimeout(() => {
       this.stoppingTimeout.timeout = null;
+      if (this.fermata || this.waitingForBeat) return; // The orchestra is already waiting
       // Get previous pose and this pose, return if no previous pose
       const lastPose = this.stoppingTimeout.pose;
       const thisPose = this.stoppingTimeout.pose = this.pose;
       if (!lastPose || !thisPose) return;
 
-      // Calculate positions & difference between before & after interval
-      const lastLeftWrist = getKeypoint(lastPose, 'leftWrist')
-      const thisLeftWrist = getKeypoint(thisPose, 'leftWrist');
-      const lastRightWrist = getKeypoint(lastPose, 'rightWrist');
-      const thisRightWrist = getKeypoint(thisPose, 'rightWrist');
-      const diff1 = getDistance(lastLeftWrist.position, thisLeftWrist.position);
-      const diff2 = getDistance(lastRightWrist.position, thisRightWrist.position);
+      // Calculate how far each hand moved between before & after interval.
+      // When the hands work independently, only the dominant hand keeps the music going
+      const hands = this.hands.mode === 'independent' ? [this.hands.dominant] : HANDS;
+      const still = hands.every((hand) => {
+        const part = hand + 'Wrist';
+        return getDistance(getKeypoint(lastPose, part).position, getKeypoint(thisPose, part).position) < max;
+      });
 
       // If difference is big enough, stop music
-      if (diff1 < max && diff2 < max) {
+      if (still) {
         this.props.stop();
       } else {
         if (this.props.state.conducting && this.poseVisible) {
@@ -221,49 +498,102 @@ export default class PoseController {
 
   /* Check if hands are reliably in scene */
   handsVisible() {
-    const leftWrist = getKeypoint(this.pose, 'leftWrist');
-    const rightWrist = getKeypoint(this.pose, 'rightWrist');
-    
-    return (
-      leftWrist.score > config.posenet.minPartConfidence
-      && rightWrist.score > config.posenet.minPartConfidence
-    );
+    return HANDS.every((hand) => this.getJoint(hand, 'Wrist').score > config.pose.minPartConfidence);
   }
 
-  /* Gets distance between leftWrist and rightWrist keypoints at any one time */
+  /* Gets distance between the wrists at any one time */
   getHandDistance() {
-    const leftWrist = getKeypoint(this.pose, 'leftWrist');
-    const rightWrist = getKeypoint(this.pose, 'rightWrist');
-    return getDistance(leftWrist.position, rightWrist.position);
-  }
-
-  /* Get a list of positions and interval between measurements, return bpm */
-  getBpmFromDistances(distances, interval) {
-    const avg = getAverageDifference(distances);
-    const pxPerMs = avg / interval;
-    const pxPerMinute = pxPerMs * 1000 * 60;
-    const beatDistance = this.armspan * config.detection.beatDistanceArmspanRatio;
-    const beatsPerMinute = pxPerMinute / beatDistance;
-    return beatsPerMinute;
-  }
-
-  /* Check whether hands are to the left, right or center */
-  getHandZone() {
-    const leftWrist = getKeypoint(this.pose, 'leftWrist');
-    const rightWrist = getKeypoint(this.pose, 'rightWrist');
-    const midpoint = getMidpoint(leftWrist, rightWrist);
-    const zones = config.zones;
-
-    for (let i = 0; i < zones.length; i++) {
-      if (zones[i].start < midpoint && midpoint < zones[i].end) return i;
+    return getDistance(this.getJoint('left', 'Wrist').position, this.getJoint('right', 'Wrist').position);
+  }
+
+  /* Zones come from the chosen piece in the song catalogue */
+  setZones(zones) {
+    this.zones = zones;
+  }
+
+  /* Sets how loud each section plays from where the hands are among the zones.
+     When the hands work independently, sections are picked by pointing at them
+     with the other hand, and stay picked until the hand points somewhere else.
+     Outside every zone, the sections stay as they were */
+  updateZones() {
+    const point = this.getHandPoint();
+    if (!point) return;
+    const { gains, zone } = getZoneGains(this.zones, point);
+    if (zone === null) return;
+    this.zone = zone;
+    this.props.setInstrumentGains(gains, zone);
+  }
+
+  /* The pointing hand, or halfway between both hands, in body space */
+  getHandPoint() {
+    if (this.hands.mode === 'independent') {
+      const hand = this.getOtherHand();
+      if (!this.isPointing(hand)) return null;
+      return this.toBodySpace(this.getJoint(hand, 'Wrist').position);
+    }
+    const left = this.getJoint('left', 'Wrist');
+    const right = this.getJoint('right', 'Wrist');
+    return this.toBodySpace({
+      x: getMidpoint(left, right),
+      y: (left.position.y + right.position.y) / 2
+    });
+  }
+
+  /* Display pixels to body space, where x runs from -1 at the left of the
+     conductor's reach through their centre line to 1 at the right, and y from -1
+     at the top of their reach through shoulder height to 1 at the bottom */
+  toBodySpace(position) {
+    const envelope = this.getEnvelope();
+    const { x, y } = envelope.centre;
+    return {
+      x: (position.x - x) / (position.x < x ? x - envelope.left : envelope.right - x),
+      y: (position.y - y) / (position.y < y ? y - envelope.top : envelope.bottom - y)
+    };
+  }
+
+  fromBodySpace(point) {
+    const envelope = this.getEnvelope();
+    const { x, y } = envelope.centre;
+    return {
+      x: x + point.x * (point.x < 0 ? x - envelope.left : envelope.right - x),
+      y: y + point.y * (point.y < 0 ? y - envelope.top : envelope.bottom - y)
+    };
+  }
+
+  /* Until calibrated, the whole display */
+  getEnvelope() {
+    return this.envelope || {
+      centre: { x: config.display.width / 2, y: config.display.height / 2 },
+      left: 0,
+      right: config.display.width,
+      top: 0,
+      bottom: config.display.height
+    };
+  }
+
+  /* Louder the higher the hands. When the hands work independently it's
+     the other hand's height, and a raised palm hushes the orchestra */
+  getDynamics() {
+    if (this.hands.mode !== 'independent') {
+      this.velocity = this.getNormalisedHeight(HANDS);
+      return this.velocity;
+    }
+
+    const hand = this.getOtherHand();
+    if (this.isHushing(hand)) return config.hands.hushVelocity;
+    if (this.isPointing(hand) || this.isPalmRaised(hand) || this.getJoint(hand, 'Wrist').score < config.pose.minPartConfidence) {
+      return this.velocity; // Busy cueing, about to hush (or out of view), keep the dynamics as they were
     }
+    this.velocity = this.getNormalisedHeight([hand]);
+    return this.velocity;
   }
 
-  getNormalisedHeight() {
-    const leftWrist = getKeypoint(this.pose, 'leftWrist');
-    const rightWrist = getKeypoint(this.pose, 'rightWrist');
-    const highestY = Math.min(leftWrist.position.y, rightWrist.position.y);
-    const normalisedHeight = (1 - highestY / config.display.height);
-    return normalisedHeight;
+  /* Height of the highest of the given hands, 0 at the bottom of the conductor's
+     reach to 1 at the top */
+  getNormalisedHeight(hands) {
+    const highestY = Math.min(...hands.map((hand) => this.getJoint(hand, 'Wrist').position.y));
+    const envelope = this.getEnvelope();
+    const normalisedHeight = (envelope.bottom - highestY) / (envelope.bottom - envelope.top);
+    return constrain(normalisedHeight, { min: 0, max: 1 });
   }
 }
\ No newline at end of file
@@ -0,0 +1,65 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import config from '../config';
+import { downloadFile } from './helpers';
+
+/* Records the conductor's pose stream (as it came from the pose source, and after smoothing)
+   so a session can be replayed with the 'replay' pose source, e.g. to tune
+   detection without a webcam, or to attach to a bug report */
+export default class PoseRecorder {
+  constructor() {
+    this.recording = false;
+    this.frames = [];
+  }
+
+  start() {
+    this.recording = true;
+    this.startTime = Date.now();
+    this.frames = [];
+  }
+
+  /* Poses are copied, as smoothing changes them in place. A frame with no
+     raw pose means nobody was seen, & no smoothed pose means it was too unsure */
+  addFrame(raw, smoothed) {
+    if (!this.recording) return;
+    this.frames.push({
+      time: (raw ? raw.timestamp : Date.now()) - this.startTime,
+      raw: raw ? JSON.parse(JSON.stringify(raw)) : null,
+      smoothed: smoothed ? JSON.parse(JSON.stringify(smoothed)) : null
+    });
+  }
+
+  /* Stops recording & downloads it as a JSON file */
+  stop() {
+    this.recording = false;
+    const recording = {
+      version: 1,
+      recorded: new Date(this.startTime).toISOString(),
+      display: { width: config.display.width, height: config.display.height },
+      pose: config.pose,
+      frames: this.frames
+    };
+    const filename = 'poses-' + recording.recorded.replace(/[:.]/g, '-') + '.json';
+    downloadFile(JSON.stringify(recording), filename, 'application/json');
+    this.frames = [];
+  }
+}
@@ -0,0 +1,218 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import * as posenet from '@tensorflow-models/posenet';
+
+// Every pose source gives a list of everyone in view (empty if nobody is), each
+// pose in the same shape whatever model (or device) made it:
+//   { keypoints: [{ part, position: { x, y }, score }], score, timestamp }
+// - part is one of JOINTS, named from the conductor's side (leftWrist is their left wrist)
+// - position is in display pixels (config.display), flipped like a mirror if pose.mirror is set
+// - score is the confidence (0 - 1), timestamp is when the frame was captured (ms)
+
+export const JOINTS = [
+  'nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar',
+  'leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist',
+  'leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'
+];
+
+/* Pairs of joints joined by a bone, for drawing the skeleton */
+export const BONES = [
+  ['leftShoulder', 'rightShoulder'], ['leftHip', 'rightHip'],
+  ['leftShoulder', 'leftElbow'], ['leftElbow', 'leftWrist'],
+  ['rightShoulder', 'rightElbow'], ['rightElbow', 'rightWrist'],
+  ['leftShoulder', 'leftHip'], ['rightShoulder', 'rightHip'],
+  ['leftHip', 'leftKnee'], ['leftKnee', 'leftAnkle'],
+  ['rightHip', 'rightKnee'], ['rightKnee', 'rightAnkle']
+];
+
+/* PoseNet (@tensorflow-models/posenet) on the webcam */
+class PosenetSource {
+  constructor(options, settings) {
+    this.options = options;
+    this.settings = settings;
+    this.needsCamera = true;
+  }
+
+  /* Returns a list of problems with the options in config.pose.posenet */
+  static validate(options) {
+    const errors = checkChoices(options, {
+      algorithm: ['single-pose', 'multi-pose'],
+      mobileNetArchitecture: [0.5, 0.75, 1.0, 1.01],
+      outputStride: [8, 16, 32]
+    });
+    const scale = options.imageScaleFactor;
+    if (!(typeof scale === 'number' && scale >= 0.2 && scale <= 1)) {
+      errors.push('imageScaleFactor should be a number from 0.2 to 1, not ' + JSON.stringify(scale) + '.');
+    }
+    return errors.concat(checkUnknownOptions(options, [
+      'algorithm', 'mobileNetArchitecture', 'outputStride', 'imageScaleFactor'
+    ]));
+  }
+
+  async load() {
+    this.net = await posenet.load(this.options.mobileNetArchitecture);
+  }
+
+  async estimate(video) {
+    const timestamp = Date.now();
+    const args = [video, this.options.imageScaleFactor, this.settings.mirror, this.options.outputStride];
+
+    const poses = this.options.algorithm === 'single-pose'
+      ? [await this.net.estimateSinglePose(...args)]
+      : await this.net.estimateMultiplePoses(...args);
+
+    // PoseNet names joints as they appear in the image, and when it's mirrored
+    // the conductor's right wrist looks like a left one
+    return poses.map((pose) => {
+      const keypoints = pose.keypoints.map((keypoint) => ({
+        part: this.settings.mirror ? swapSide(keypoint.part) : keypoint.part,
+        position: { x: keypoint.position.x, y: keypoint.position.y },
+        score: keypoint.score
+      }));
+      return { keypoints, score: pose.score, timestamp };
+    });
+  }
+}
+
+/* Plays back a recording made with PoseRecorder (just the conductor), no camera
+   needed. Poses are timestamped when they're played back, in step with the
+   clock the audio & beat timing use, so a faster replay conducts faster too */
+class ReplaySource {
+  constructor(options) {
+    this.options = options;
+    this.needsCamera = false;
+  }
+
+  /* Returns a list of problems with the options in config.pose.replay */
+  static validate(options) {
+    const errors = checkChoices(options, {
+      stream: ['raw', 'smoothed'],
+      loop: [true, false]
+    });
+    if (!(typeof options.file === 'string' && options.file.length > 0)) {
+      errors.push('file should be the URL of a recording.');
+    }
+    if (!(typeof options.speed === 'number' && options.speed > 0)) {
+      errors.push('speed should be a number above 0 (1 is real time), not ' + JSON.stringify(options.speed) + '.');
+    }
+    return errors.concat(checkUnknownOptions(options, ['file', 'speed', 'loop', 'stream']));
+  }
+
+  async load() {
+    const response = await fetch(this.options.file);
+    if (!response.ok) throw new Error('Could not load recording ' + this.options.file + ': ' + response.status);
+    this.frames = (await response.json()).frames;
+    this.restart();
+  }
+
+  restart() {
+    this.index = 0;
+    this.startTime = Date.now();
+  }
+
+  /* Waits until the next frame is due, then returns its pose. The smoothed
+     stream is marked so PoseController doesn't smooth it twice */
+  async estimate() {
+    if (this.index >= this.frames.length) {
+      if (!this.options.loop) return [];
+      this.restart();
+    }
+
+    const frame = this.frames[this.index++];
+    const due = this.startTime + frame.time / this.options.speed;
+    if (due > Date.now()) await wait(due - Date.now());
+
+    const useSmoothed = this.options.stream === 'smoothed' && frame.smoothed;
+    const pose = useSmoothed ? frame.smoothed : frame.raw;
+    if (!pose) return [];
+    return [Object.assign(JSON.parse(JSON.stringify(pose)), {
+      timestamp: due,
+      isSmoothed: Boolean(useSmoothed)
+    })];
+  }
+}
+
+const SOURCES = {
+  posenet: PosenetSource,
+  replay: ReplaySource
+};
+
+/* Adds a pose source (e.g. another model, or something other than a camera)
+   that config.pose.backend can pick. It needs the same static validate(options),
+   needsCamera, load() & estimate(video) as PosenetSource */
+export function registerPoseSource(name, Source) {
+  SOURCES[name] = Source;
+}
+
+/* Checks config.pose, returns a list of problems (empty if it's all fine) */
+export function validatePoseConfig(poseConfig) {
+  const errors = [];
+  const Source = SOURCES[poseConfig.backend];
+  if (!Source) {
+    errors.push('backend should be one of ' + Object.keys(SOURCES).join(', ') + ', not ' + JSON.stringify(poseConfig.backend) + '.');
+  }
+  ['minPoseConfidence', 'minPartConfidence'].forEach((key) => {
+    const value = poseConfig[key];
+    if (!(typeof value === 'number' && value >= 0 && value <= 1)) {
+      errors.push(key + ' should be a number from 0 to 1, not ' + JSON.stringify(value) + '.');
+    }
+  });
+  if (typeof poseConfig.mirror !== 'boolean') errors.push('mirror should be true or false.');
+  if (Source) {
+    Source.validate(poseConfig[poseConfig.backend] || {}).forEach((error) => {
+      errors.push(poseConfig.backend + '.' + error);
+    });
+  }
+  return errors;
+}
+
+/* Makes the pose source picked in config.pose, throws if the config isn't valid */
+export function createPoseSource(poseConfig) {
+  const errors = validatePoseConfig(poseConfig);
+  if (errors.length > 0) throw new Error('Invalid pose config: ' + errors.join(' '));
+  const Source = SOURCES[poseConfig.backend];
+  return new Source(poseConfig[poseConfig.backend] || {}, { mirror: poseConfig.mirror });
+}
+
+/* Checks each option is one of its allowed values */
+function checkChoices(options, allowed) {
+  return Object.keys(allowed).filter((key) => !allowed[key].includes(options[key])).map((key) => {
+    return key + ' should be one of ' + allowed[key].join(', ') + ', not ' + JSON.stringify(options[key]) + '.';
+  });
+}
+
+/* Options we don't know about are usually typos, which would otherwise be silently ignored */
+function checkUnknownOptions(options, known) {
+  return Object.keys(options).filter((key) => !known.includes(key)).map((key) => {
+    return key + ' isn\'t an option (options are ' + known.join(', ') + ').';
+  });
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function swapSide(part) {
+  if (part.startsWith('left')) return 'right' + part.slice(4);
+  if (part.startsWith('right')) return 'left' + part.slice(5);
+  return part;
+}
@@ -23,7 +23,8 @@ under the License.
 import config from '../config';
 import { getKeypoint } from './helpers';
 import { smoothNum } from './smoothing';
-import * as posenet from '@tensorflow-models/posenet';
+import { BONES } from './pose-sources';
+import { getZonePolygon } from './zones';
 import { CONSTRAINT_IDENTIFIER_REGISTRY_SYMBOL_MAP } from '@tensorflow/tfjs-layers/dist/constraints';
 
 export default class PosenetRenderer {
@@ -32,29 +33,74 @@ export default class PosenetRenderer {
     this.ctx = props.canvas.getContext('2d');
   }
 
-  /* Draws a video frame + posenet lines onto the canvas */
-  drawFrame(video, pose) {
+  /* Draws a video frame + posenet lines onto the canvas, with the zones
+     while conducting. toDisplay turns zone (body space) points into pixels */
+  drawFrame(video, pose, zones, zone, toDisplay) {
     const ctx = this.ctx;
     const width = config.display.width;
     const height = config.display.height;
 
     ctx.clearRect(0, 0, width, height);
     ctx.save();
-    ctx.scale(-1, 1); // Flip video, as it's front-facing
-    ctx.translate(-width, 0);
-    if (this.props.state.calibrating) ctx.drawImage(video, 0, 0, width, height);
+    if (config.pose.mirror) {
+      ctx.scale(-1, 1); // Flip video, as it's front-facing
+      ctx.translate(-width, 0);
+    }
+    if (this.props.state.calibrating && video) ctx.drawImage(video, 0, 0, width, height);
     ctx.restore();
+
+    if (this.props.state.conducting && zones) this.drawZones(zones, zone, toDisplay);
     
-    if (pose && pose.score > config.posenet.minPoseConfidence) {
+    if (pose && pose.score > config.pose.minPoseConfidence) {
       this.drawKeypoints(pose);
       this.drawSkeleton(pose);
       // this.drawFace(pose);
     }
   }
 
+  /* Outlines each zone, with the current one highlighted. Highlights fade
+     between zones rather than jumping */
+  drawZones(zones, zone, toDisplay) {
+    const ctx = this.ctx;
+    if (!this.zoneHighlights || this.zoneHighlights.length !== zones.length) {
+      this.zoneHighlights = zones.map(() => 0);
+    }
+
+    zones.forEach((shape, i) => {
+      const target = i === zone ? 1 : 0;
+      this.zoneHighlights[i] += (target - this.zoneHighlights[i]) * config.display.zoneFade;
+
+      this.tracePolygon(getZonePolygon(shape).map(([x, y]) => toDisplay({ x, y })));
+      ctx.globalAlpha = this.zoneHighlights[i];
+      ctx.fillStyle = config.display.zoneColor;
+      ctx.fill();
+      ctx.globalAlpha = 1;
+
+      ctx.setLineDash([6, 6]);
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = config.display.zoneLineColor;
+      ctx.stroke();
+      ctx.setLineDash([]);
+    });
+  }
+
+  /* Zones can run off the display (or to infinity), so keep their corners just outside it */
+  tracePolygon(points) {
+    const ctx = this.ctx;
+    const margin = 10;
+    ctx.beginPath();
+    points.forEach((point, i) => {
+      const x = Math.max(-margin, Math.min(config.display.width + margin, point.x));
+      const y = Math.max(-margin, Math.min(config.display.height + margin, point.y));
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+  }
+
   /* Go through and draw all the joints */
   drawKeypoints(pose) {
-    const minConfidence = config.posenet.minPartConfidence;
+    const minConfidence = config.pose.minPartConfidence;
 
     pose.keypoints.forEach(keypoint => {
       if (keypoint.score > minConfidence) {
@@ -64,13 +110,13 @@ export default class PosenetRenderer {
   }
 
   drawSkeleton(pose) {
-    const adjacentKeypoints = posenet.getAdjacentKeyPoints(
-      pose.keypoints, 0 /* config.posenet.minPartConfidence*/);
-    
-    adjacentKeypoints.forEach((keypoints) => {
+    BONES.forEach((bone) => {
+      const start = getKeypoint(pose, bone[0]);
+      const end = getKeypoint(pose, bone[1]);
+      if (!start || !end) return;
       this.drawSegment({
-        start: keypoints[0].position,
-        end: keypoints[1].position
+        start: start.position,
+        end: end.position
       });
     });
   }
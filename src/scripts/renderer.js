@@ -26,6 +26,14 @@ import Orchestra from './orchestra';
 import roseImageSrc from '../assets/rose.svg';
 import applause from '../assets/applause.mp3';
 
+// For each step in calibration.js
+const CALIBRATION_INSTRUCTIONS = {
+  centre: 'Stand where you\'ll conduct, Maestro, with your arms relaxed by your sides.',
+  extent: 'Stretch your arms out to the sides, like the outline.',
+  top: 'Reach both hands up as high as you\'d comfortably conduct.',
+  bottom: 'Bring both hands down to where your lowest beat would be.'
+};
+
 export default class Renderer {
   constructor(props) {
     this.props = props;
@@ -45,6 +53,28 @@ export default class Renderer {
       videoContainer: document.querySelector('.video-container'),
       videoBorder: document.querySelector('.video-border'),
       startButton: document.querySelector('.start-button'),
+      songNotice: document.querySelector('.start-song-notice'),
+      songPicker: document.querySelector('.song-picker'),
+      handPicker: document.querySelector('.hand-picker'),
+      startPicker: document.querySelector('.start-picker'),
+      cameraPicker: document.querySelector('.camera-picker'),
+      noCameraButton: document.querySelector('.button-no-camera'),
+      downloadMidiButton: document.querySelector('.button-download-midi'),
+      finishScore: document.querySelector('.finish-score'),
+      finishScoreOverall: document.querySelector('.finish-score-overall'),
+      finishScoreRatings: document.querySelector('.finish-score-ratings'),
+      finishTempoChart: document.querySelector('.finish-tempo-chart'),
+      downloadAudioButton: document.querySelector('.button-download-audio'),
+      recordVideoButton: document.querySelector('.button-record-video'),
+      videoWebcamButton: document.querySelector('.button-video-webcam'),
+      downloadVideoButton: document.querySelector('.button-download-video'),
+      midiConnectButton: document.querySelector('.button-midi-connect'),
+      midiDevices: document.querySelector('.midi-devices'),
+      midiMappings: document.querySelector('.midi-mappings'),
+      midiOutput: document.querySelector('.midi-output'),
+      midiOutputPicker: document.querySelector('.midi-output-picker'),
+      midiKeepAudio: document.querySelector('.midi-keep-audio'),
+      rememberCalibration: document.querySelector('.calibration-remember-checkbox'),
       restartButtons: document.querySelectorAll('.button-restart'),
       infoButton: document.querySelector('.button-info'),
       songTitle: document.querySelector('.song-title'),
@@ -52,16 +82,20 @@ export default class Renderer {
       tempo: document.querySelector('.tempo-meter'),
       calibrationOverlay: document.querySelector('.calibration-overlay'),
       calibrationOverlayImg: document.querySelector('.calibration-overlay img'),
+      calibrationStepCount: document.querySelector('.calibration-step-count'),
+      calibrationProgressBar: document.querySelector('.calibration-progress-bar'),
       countdownOverlay: document.querySelector('.countdown-overlay'),
       countdownText: document.querySelector('.countdown-text'),
       songProgress: document.querySelector('.song-progress'),
       errorText: document.querySelector('.error-text'),
-      conductingOverlay: document.querySelector('.conducting-overlay')
+      conductingOverlay: document.querySelector('.conducting-overlay'),
+      conductingPattern: document.querySelector('.conducting-pattern'),
+      conductingBeat: document.querySelector('.conducting-pattern-beat'),
+      conductingMeter: document.querySelector('.conducting-pattern-meter'),
+      upbeatPrompt: document.querySelector('.upbeat-prompt'),
+      conductorLost: document.querySelector('.conductor-lost')
     }
 
-    // BEGIN CUSTOM ROSALYN THEMING
-    this.elems.songTitle.innerHTML = "Revenue in C-Suite Major";
-    // END CUSTOM ROSALYN THEMING
     this.prevTempo = null;
     this.tempo = null;
     this.isFinishPage = false;
@@ -73,26 +107,92 @@ export default class Renderer {
       loaded: this.props.setGraphicsLoaded
     });
 
+    this.renderSongPicker(this.props.songs);
+    this.renderHandPicker(config.hands);
+    this.elems.startPicker.value = config.start.mode;
+    this.elems.rememberCalibration.checked = config.calibration.remember;
+    this.renderCameraPicker(config.manual.useCamera);
     this.addStartHooks();
     this.checkMobile();
+    if (!navigator.requestMIDIAccess) hide(this.elems.midiConnectButton);
   }
 
+  /* Phones conduct with touch rather than the camera */
   checkMobile() {
     if( /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ) {
       this.elems.html.classList.add('is-mobile');
       this.elems.body.classList.add('is-mobile');
-      show(this.pages.error, 'flex');
-      this.elems.errorText.innerHTML = `This experience works best in a
-        desktop browser – your orchestra is waiting for you there.
-      <br><br><a class="button button-large" href='mailto:?subject=${encodeURIComponent("Note to self: check out Semi-Conductor")}&body=${encodeURIComponent("Dear me, remember earlier today you were checking out that conducting experience? Here is the link for it: semiconductor.withgoogle.com")}'>Email a reminder</a>`;
+      this.renderCameraPicker(false);
+      this.props.selectCamera(false);
     }
   }
 
+  renderCameraPicker(useCamera) {
+    this.elems.cameraPicker.value = useCamera ? 'camera' : 'manual';
+  }
+
   /* Add event listeners now that DOM has loaded */
   addStartHooks() {
     this.elems.startButton.addEventListener('click', () => {
       if (this.props.state.loaded) this.renderTutorialPage();
     })
+    this.elems.songPicker.addEventListener('change', () => {
+      this.props.selectSong(this.elems.songPicker.value);
+    });
+    this.elems.cameraPicker.addEventListener('change', () => {
+      this.props.selectCamera(this.elems.cameraPicker.value === 'camera');
+    });
+    this.elems.noCameraButton.addEventListener('click', () => {
+      hide(this.pages.error);
+      hide(this.elems.noCameraButton);
+      this.props.useManualController();
+    });
+    this.elems.midiConnectButton.addEventListener('click', () => {
+      this.props.connectMidi();
+    });
+    this.elems.midiMappings.addEventListener('click', (e) => {
+      const target = e.target.dataset.target;
+      if (!target) return;
+      if (e.target.dataset.action === 'forget') {
+        this.props.forgetMidiMapping(target);
+      } else {
+        this.props.learnMidiMapping(target);
+      }
+    });
+    this.elems.midiOutputPicker.addEventListener('change', () => {
+      this.props.selectMidiOutput(this.elems.midiOutputPicker.value || null);
+    });
+    this.elems.midiKeepAudio.addEventListener('change', () => {
+      this.props.selectMidiKeepAudio(this.elems.midiKeepAudio.checked);
+    });
+    this.elems.rememberCalibration.addEventListener('change', () => {
+      this.props.selectRememberCalibration(this.elems.rememberCalibration.checked);
+    });
+    this.elems.startPicker.addEventListener('change', () => {
+      this.props.selectStartMode(this.elems.startPicker.value);
+    });
+    this.elems.handPicker.addEventListener('change', () => {
+      const value = this.elems.handPicker.value;
+      this.props.selectHands({
+        mode: value === 'together' ? 'together' : 'independent',
+        leftHanded: value === 'left'
+      });
+    });
+    this.elems.downloadMidiButton.addEventListener('click', () => {
+      this.props.downloadMidi();
+    });
+    this.elems.downloadAudioButton.addEventListener('click', () => {
+      this.props.downloadAudio();
+    });
+    this.elems.recordVideoButton.addEventListener('click', () => {
+      this.props.toggleVideoRecording();
+    });
+    this.elems.videoWebcamButton.addEventListener('click', () => {
+      this.props.toggleVideoWebcam();
+    });
+    this.elems.downloadVideoButton.addEventListener('click', () => {
+      this.props.downloadVideo();
+    });
     this.elems.restartButtons.forEach((button) => {
       button.addEventListener('click', () => {
         this.renderRestart();
@@ -104,10 +204,34 @@ export default class Renderer {
     this.elems.infoCloseButton.addEventListener('click', () => {
       hide(this.pages.info)
     });
+
+    // Shift + R records the pose stream, for replaying with the 'replay' pose source
+    document.addEventListener('keydown', (e) => {
+      if (e.shiftKey && e.key.toLowerCase() === 'r') this.props.toggleRecording();
+    });
+
+    // Drop a .mid file onto the start page to conduct it
+    this.pages.start.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      this.pages.start.classList.add('is-dragging');
+    });
+    this.pages.start.addEventListener('dragleave', () => {
+      this.pages.start.classList.remove('is-dragging');
+    });
+    this.pages.start.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.pages.start.classList.remove('is-dragging');
+      const file = e.dataTransfer.files[0];
+      if (file && /\.midi?$/i.test(file.name)) {
+        this.props.loadMidiFile(file);
+      } else {
+        this.renderSongNotice('Drop a .mid file here to conduct it.');
+      }
+    });
   }
 
   /* Updates the loading button on the start page */
-  renderLoadProgress(progress) {
+  renderLoadProgress(progress, samples) {
     // Progress is a value between 0 and 100
     this.elems.startButton.style.background = 'linear-gradient(to right, #ff8976 '
       + progress + '%, rgba(0,0,0,0) ' + progress + '%)';
@@ -116,7 +240,103 @@ export default class Renderer {
       // Make button active
       this.elems.startButton.innerHTML = "Start";
       this.elems.startButton.disabled = false;
+    } else if (samples) {
+      // e.g. 'Loading 12/66 (3.4 MB)'
+      const megabytes = (samples.loadedBytes / 1000000).toFixed(1);
+      this.elems.startButton.innerHTML = 'Loading ' + samples.loadedFiles + '/'
+        + samples.totalFiles + ' (' + megabytes + ' MB)';
+      this.elems.startButton.disabled = true;
+    } else {
+      this.elems.startButton.innerHTML = "Loading...";
+      this.elems.startButton.disabled = true;
+    }
+  }
+
+  /* Fills the song library dropdown on the start page */
+  renderSongPicker(songs, selectedId) {
+    this.elems.songPicker.innerHTML = '';
+    songs.forEach((song) => {
+      const option = document.createElement('option');
+      option.value = song.id;
+      option.textContent = song.composer ? song.title + ' – ' + song.composer : song.title;
+      this.elems.songPicker.appendChild(option);
+    });
+    if (selectedId) this.elems.songPicker.value = selectedId;
+  }
+
+  renderSongTitle(song) {
+    this.elems.songTitle.textContent = song.title;
+  }
+
+  /* Shows a message under the start button about the song being loaded */
+  renderSongNotice(message) {
+    this.elems.songNotice.textContent = message || '';
+  }
+
+  /* Lists connected MIDI inputs & what each target (beat, section picker,
+     section volumes) is mapped to, with buttons to learn or forget a mapping.
+     Outputs are { id, name }, for sending the performance to a synth or DAW */
+  renderMidiSettings({ devices, targets, mappings, learning, outputs, selectedOutput, keepAudio }) {
+    hide(this.elems.midiConnectButton);
+    this.elems.midiDevices.textContent = devices.length > 0
+      ? 'MIDI: ' + devices.join(', ') + '. Hit a pad or key to beat time, its velocity sets the dynamics.'
+      : 'No MIDI devices found. Plug one in to conduct with it.';
+
+    this.elems.midiMappings.innerHTML = '';
+    targets.forEach((target) => {
+      const mapping = mappings[target.id];
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = target.label + ': ' + (mapping ? describeMidiControl(mapping) : target.unmapped);
+      item.appendChild(label);
+
+      const buttons = document.createElement('span');
+      const learnButton = document.createElement('button');
+      learnButton.dataset.target = target.id;
+      learnButton.textContent = learning === target.id ? 'Move a control...' : 'Learn';
+      if (learning === target.id) learnButton.classList.add('is-learning');
+      buttons.appendChild(learnButton);
+      if (mapping) {
+        const forgetButton = document.createElement('button');
+        forgetButton.dataset.target = target.id;
+        forgetButton.dataset.action = 'forget';
+        forgetButton.textContent = 'Forget';
+        buttons.appendChild(forgetButton);
+      }
+      item.appendChild(buttons);
+      this.elems.midiMappings.appendChild(item);
+    });
+
+    this.elems.midiOutputPicker.innerHTML = '<option value="">No MIDI output</option>';
+    outputs.forEach((output) => {
+      const option = document.createElement('option');
+      option.value = output.id;
+      option.textContent = 'Send to ' + output.name;
+      this.elems.midiOutputPicker.appendChild(option);
+    });
+    this.elems.midiOutputPicker.value = selectedOutput || '';
+    this.elems.midiKeepAudio.checked = keepAudio;
+    show(this.elems.midiOutput, 'block');
+  }
+
+  /* Lists any MIDI tracks that were left out because they have no samples */
+  renderUnmappedTracks(tracks) {
+    if (tracks.length === 0) {
+      this.renderSongNotice('');
+      return;
     }
+
+    const names = tracks.map((track) => {
+      const name = track.name || 'Channel ' + (track.channelNumber + 1);
+      return track.isPercussion ? name + ' (percussion)' : name + ' (program ' + track.instrumentNumber + ')';
+    });
+    this.renderSongNotice('These tracks have no instrument in our orchestra and will be left out: ' + names.join(', '));
+  }
+
+  /* Called if the song itself couldn't be loaded */
+  renderSongError(message) {
+    show(this.pages.error, 'flex');
+    this.elems.errorText.textContent = message;
   }
 
   /* Updates the song progress bar */
@@ -135,6 +355,81 @@ export default class Renderer {
     }, 1500);
   }
 
+  /* Top bar video controls: record/stop, webcam on or off in the clip & download */
+  renderVideoRecording({ supported, recording, includeWebcam, hasRecording }) {
+    if (!supported) {
+      hide(this.elems.recordVideoButton);
+      hide(this.elems.videoWebcamButton);
+      return;
+    }
+    this.elems.recordVideoButton.classList.toggle('is-recording', recording);
+    this.elems.recordVideoButton.title = recording ? 'Stop recording' : 'Record a video';
+    this.elems.videoWebcamButton.classList.toggle('is-off', !includeWebcam);
+    this.elems.videoWebcamButton.title = includeWebcam ? 'Leave the webcam out of the video' : 'Show the webcam in the video';
+    if (hasRecording && !recording) {
+      show(this.elems.downloadVideoButton, 'inline-block');
+    } else {
+      hide(this.elems.downloadVideoButton);
+    }
+  }
+
+  /* The audio download takes a moment to render */
+  renderAudioRendering(rendering) {
+    this.elems.downloadAudioButton.disabled = rendering;
+    this.elems.downloadAudioButton.textContent = rendering ? 'Rendering...' : 'Download audio';
+  }
+
+  /* Shows the performance's score on the finish page, if there's enough to score */
+  renderScore(score) {
+    if (!score) {
+      hide(this.elems.finishScore);
+      return;
+    }
+
+    this.elems.finishScoreOverall.textContent = 'Score: ' + score.overall + '/100';
+    const ratings = [
+      ['Steadiness', score.steadiness],
+      ['Tempo', score.tempoAccuracy],
+      ['Dynamics', score.dynamicContrast],
+      ['Cueing', score.sectionCueing]
+    ].filter((rating) => rating[1] !== null);
+    this.elems.finishScoreRatings.innerHTML = ratings.map((rating) => {
+      return '<li><strong>' + rating[1] + '</strong>' + rating[0] + '</li>';
+    }).join('');
+
+    show(this.elems.finishScore, 'block');
+    this.renderTempoChart(score.tempos);
+  }
+
+  /* Conducted tempo (solid) against the score's (dashed) over the piece */
+  renderTempoChart(tempos) {
+    const canvas = this.elems.finishTempoChart;
+    const ctx = canvas.getContext('2d');
+    const padding = 10;
+    const bpms = tempos.reduce((all, tempo) => all.concat(tempo.bpm, tempo.referenceBpm), []);
+    const min = Math.min(...bpms) * 0.9;
+    const max = Math.max(...bpms) * 1.1;
+    const range = max - min || 1; // Every bpm the same, e.g. 0
+    const getX = (progress) => padding + progress / 100 * (canvas.width - 2 * padding);
+    const getY = (bpm) => canvas.height - padding - (bpm - min) / range * (canvas.height - 2 * padding);
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const drawLine = (key, color, dash) => {
+      ctx.beginPath();
+      ctx.setLineDash(dash);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      tempos.forEach((tempo, i) => {
+        if (i === 0) ctx.moveTo(getX(tempo.progress), getY(tempo[key]));
+        else ctx.lineTo(getX(tempo.progress), getY(tempo[key]));
+      });
+      ctx.stroke();
+    };
+    drawLine('referenceBpm', 'rgba(255,255,255,0.6)', [6, 4]);
+    drawLine('bpm', '#ff8976', []);
+    ctx.setLineDash([]);
+  }
+
   /* Tutorial Page */
 
   renderTutorialPage() {
@@ -171,6 +466,18 @@ export default class Renderer {
     show(this.pages.main, 'flex');
   }
 
+  /* Instructions & how long the pose has been held for the current
+     calibration step, { step, index, count, progress } from calibration.js */
+  renderCalibrationStep({ step, index, count, progress }) {
+    const instructions = CALIBRATION_INSTRUCTIONS[step];
+    const text = document.querySelector('.instructions p');
+    if (text.innerHTML !== instructions) text.innerHTML = instructions;
+    this.elems.calibrationStepCount.textContent = count > 1 ? 'Step ' + (index + 1) + ' of ' + count : '';
+    this.elems.calibrationProgressBar.style.width = Math.round(100 * progress) + '%';
+    // The outline is of a T-pose
+    this.elems.calibrationOverlayImg.style.visibility = step === 'extent' ? 'visible' : 'hidden';
+  }
+
   renderTempo(tempo) {
     this.tempo = tempo;
   }
@@ -205,11 +512,17 @@ export default class Renderer {
 
   renderCalibrationSuccess() {
     this.elems.calibrationOverlay.classList.add('success');
+    this.elems.calibrationProgressBar.style.width = '100%';
     hide(this.elems.calibrationOverlayImg)
     document.querySelector('.instructions p').innerHTML = "👍";
     document.querySelector('.instructions p').style.transform = "scale(2)";
   }
 
+  /* Shown while the calibrated conductor can't be found among the people in view */
+  renderConductorLost(lost) {
+    this.elems.conductorLost.classList.toggle('is-visible', lost);
+  }
+
   renderConductPage() {
     hide(this.elems.calibrationOverlay);
     show(this.elems.conductingOverlay);
@@ -217,6 +530,52 @@ export default class Renderer {
     this.startTempoAnimation();
   }
 
+  /* Selects the conducting style matching the { mode, leftHanded } settings */
+  renderHandPicker(hands) {
+    if (hands.mode === 'together') {
+      this.elems.handPicker.value = 'together';
+    } else {
+      this.elems.handPicker.value = hands.leftHanded ? 'left' : 'right';
+    }
+  }
+
+  /* Shows the pattern being conducted & the current beat, or nothing if it's not clear yet */
+  renderPattern(pattern) {
+    if (!pattern) {
+      this.elems.conductingBeat.innerText = '';
+      this.elems.conductingMeter.innerText = '';
+      return;
+    }
+
+    let meter = 'in ' + pattern.beats;
+    if (!pattern.matchesScore && pattern.scoreBeats) meter += ' (score is in ' + pattern.scoreBeats + ')';
+    this.elems.conductingBeat.innerText = pattern.beatNumber;
+    this.elems.conductingMeter.innerText = meter;
+    this.elems.conductingPattern.classList.toggle('mismatch', !pattern.matchesScore);
+  }
+
+  renderRecording(recording) {
+    this.elems.html.classList.toggle('is-recording', recording);
+  }
+
+  renderUpbeatPrompt(visible) {
+    if (visible) {
+      show(this.elems.upbeatPrompt);
+    } else {
+      hide(this.elems.upbeatPrompt);
+    }
+  }
+
+  /* Lights up the sections that are playing */
+  renderActiveInstruments(instruments) {
+    this.orchestra.setActiveInstruments(instruments);
+  }
+
+  /* Seats the orchestra for the song's tracks */
+  renderOrchestra(tracks) {
+    this.orchestra.setInstruments(tracks);
+  }
+
   triggerAnimation(instrument, duration, velocity) {
     this.orchestra.trigger(instrument, duration, velocity)
   }
@@ -337,7 +696,49 @@ export default class Renderer {
   /* Called if webcam error */
   renderVideoError() {
     show(this.pages.error, 'flex');
-    this.elems.errorText.innerHTML = "The orchestra needs to see its conductor! Please connect your webcam or allow us to access it, and refresh the page.";
+    show(this.elems.noCameraButton, 'inline-block');
+    this.elems.errorText.innerHTML = "The orchestra can't see its conductor! Connect your webcam or allow us to access it and refresh the page, "
+      + "or conduct with your mouse, finger, pen or keyboard instead.";
+  }
+
+  /* Called if any instrument samples couldn't be loaded */
+  renderSampleError(failures) {
+    // Group missing notes by instrument
+    const missing = {};
+    failures.forEach((failure) => {
+      missing[failure.instrument] = missing[failure.instrument] || [];
+      if (failure.note) {
+        missing[failure.instrument].push(failure.articulation + ' ' + failure.note
+          + (failure.roundRobin > 0 ? ' (alternate ' + (failure.roundRobin + 1) + ')' : ''));
+      }
+    });
+
+    // The notes can come from a dropped MIDI file, so build the list as text
+    const list = document.createElement('ul');
+    list.className = 'error-list';
+    Object.keys(missing).forEach((instrument) => {
+      const item = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = instrument;
+      item.appendChild(name);
+      const notes = missing[instrument].length > 0 ? missing[instrument].join(', ') : 'all samples';
+      item.appendChild(document.createTextNode(': ' + notes));
+      list.appendChild(item);
+    });
+
+    show(this.pages.error, 'flex');
+    this.elems.errorText.textContent = 'Some of the orchestra didn\'t turn up. We couldn\'t load these samples:';
+    this.elems.errorText.appendChild(list);
+    this.elems.errorText.appendChild(document.createTextNode('Check your connection and refresh the page.'));
+  }
+
+  /* Called at startup if config.pose has problems */
+  renderConfigError(errors) {
+    console.error('Invalid pose config:', errors);
+    const list = errors.map((error) => '<li>pose.' + error + '</li>').join('');
+    show(this.pages.error, 'flex');
+    this.elems.errorText.innerHTML = `The pose settings in config.js need fixing:
+      <ul class="error-list">${list}</ul>`;
   }
 
   /* Called when the experience restarts */
@@ -437,4 +838,10 @@ export default class Renderer {
     }, 10000);
   }
   // END CUSTOM ROSALYN THEMING
-}
\ No newline at end of file
+}
+
+/* e.g. 'CC 7, channel 1 (nanoKONTROL2)' */
+function describeMidiControl(mapping) {
+  const control = mapping.type === 'note' ? 'Note ' + mapping.number : 'CC ' + mapping.number;
+  return control + ', channel ' + (mapping.channel + 1) + ' (' + mapping.input + ')';
+}
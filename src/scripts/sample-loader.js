@@ -0,0 +1,224 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import Tone from 'tone';
+import config from '../config.js';
+
+export default class SampleLoader {
+  constructor(props) {
+    this.props = props;
+    this.files = [];
+    this.cache = {}; // Decoded samples by url, so switching songs doesn't download them again
+  }
+
+  /* Downloads & decodes every sample listed for the given instruments.
+     Resolves with { buffers, failures }, where buffers maps instrument -> articulation ->
+     [round robin] -> note -> AudioBuffer and failures lists any
+     { instrument, articulation, roundRobin, note, url, error } that couldn't be loaded.
+     A new load cancels one that's still going (e.g. when another song is picked),
+     which then stops reporting progress */
+  async load(instruments) {
+    if (this.abortController) this.abortController.abort();
+    const abortController = this.abortController = new AbortController();
+    const signal = abortController.signal;
+    const files = this.files = [];
+    const failures = [];
+
+    instruments.forEach((instrument) => {
+      if (!this.props.samples[instrument]) {
+        failures.push({ instrument, articulation: null, note: null, url: null, error: 'No samples listed in samples.json' });
+        return;
+      }
+      const articulations = getArticulations(this.props.samples[instrument]);
+      Object.keys(articulations).forEach((articulation) => {
+        getRoundRobins(articulations[articulation]).forEach((notes, roundRobin) => {
+          Object.keys(notes).forEach((note) => {
+            files.push({
+              instrument,
+              articulation,
+              roundRobin,
+              note,
+              url: config.paths.samplesPath + encodePath(notes[note]),
+              loadedBytes: 0,
+              totalBytes: 0,
+              done: false
+            });
+          });
+        });
+      });
+    });
+
+    // Download a few files at a time so we don't flood the connection
+    const queue = files.slice();
+    const workers = [];
+    for (let i = 0; i < config.loading.maxConcurrentRequests; i++) {
+      workers.push(this.loadQueue(queue, signal));
+    }
+    await Promise.all(workers);
+
+    const buffers = {};
+    files.forEach((file) => {
+      if (file.buffer) {
+        const instrument = buffers[file.instrument] = buffers[file.instrument] || {};
+        const roundRobins = instrument[file.articulation] = instrument[file.articulation] || [];
+        roundRobins[file.roundRobin] = roundRobins[file.roundRobin] || {};
+        roundRobins[file.roundRobin][file.note] = file.buffer;
+      } else {
+        failures.push({
+          instrument: file.instrument,
+          articulation: file.articulation,
+          roundRobin: file.roundRobin,
+          note: file.note,
+          url: file.url,
+          error: file.error
+        });
+      }
+    });
+
+    return { buffers, failures };
+  }
+
+  async loadQueue(queue, signal) {
+    while (queue.length > 0 && !signal.aborted) {
+      await this.loadFile(queue.shift(), signal);
+    }
+  }
+
+  /* Try to load a single file, retrying a few times before giving up */
+  async loadFile(file, signal) {
+    if (this.cache[file.url]) {
+      file.buffer = this.cache[file.url];
+      file.done = true;
+      this.reportProgress(signal);
+      return;
+    }
+
+    const retries = config.loading.retries;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        file.buffer = await this.fetchSample(file, signal);
+        file.error = null;
+        break;
+      } catch (error) {
+        file.error = error.message || String(error);
+        file.loadedBytes = 0;
+        if (signal.aborted) break;
+        console.warn('Could not load sample', file.url, '(attempt ' + (attempt + 1) + '):', file.error);
+        if (attempt < retries) await wait(config.loading.retryDelay * (attempt + 1));
+      }
+    }
+
+    if (file.buffer) this.cache[file.url] = file.buffer;
+    file.done = true;
+    this.reportProgress(signal);
+  }
+
+  /* Fetch a sample, reporting bytes as they arrive, then decode it */
+  async fetchSample(file, signal) {
+    const response = await fetch(file.url, { signal });
+    if (!response.ok) throw new Error(response.status + ' ' + response.statusText);
+
+    file.totalBytes = parseInt(response.headers.get('content-length'), 10) || 0;
+
+    let data;
+    if (response.body && response.body.getReader) {
+      const reader = response.body.getReader();
+      const chunks = [];
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        file.loadedBytes += value.length;
+        this.reportProgress(signal);
+      }
+      data = concatenate(chunks, file.loadedBytes);
+    } else {
+      data = await response.arrayBuffer();
+      file.loadedBytes = data.byteLength;
+    }
+
+    return Tone.context.decodeAudioData(data);
+  }
+
+  /* Sends file counts, byte counts & overall percentage back to the AudioPlayer,
+     unless the load has been replaced */
+  reportProgress(signal) {
+    if (signal.aborted) return;
+    let loadedFiles = 0;
+    let loadedBytes = 0;
+    let totalBytes = 0;
+    let completed = 0;
+
+    this.files.forEach((file) => {
+      loadedBytes += file.loadedBytes;
+      totalBytes += file.totalBytes;
+      if (file.done) {
+        completed++;
+        if (file.buffer) loadedFiles++;
+      } else if (file.totalBytes) {
+        // Hold back the last bit of each file for decoding
+        completed += 0.95 * Math.min(file.loadedBytes / file.totalBytes, 1);
+      }
+    });
+
+    const totalFiles = this.files.length;
+    this.props.setProgress({
+      percentage: totalFiles ? 100 * completed / totalFiles : 100,
+      loadedFiles,
+      totalFiles,
+      loadedBytes,
+      totalBytes
+    });
+  }
+}
+
+/* Instruments in samples.json list their notes under each articulation, e.g.
+   { "sustain": { "C4": ... }, "staccato": { "C4": ... } }. A plain map of
+   notes is treated as a single sustained articulation. */
+export function getArticulations(samples) {
+  const isNoteMap = Object.keys(samples).every((key) => /^[A-G][#b]?-?\d$/.test(key));
+  return isNoteMap ? { sustain: samples } : samples;
+}
+
+/* An articulation is either a map of notes, or a list of them where each is an
+   alternate recording (round robin) to cycle through on repeated notes */
+export function getRoundRobins(notes) {
+  return Array.isArray(notes) ? notes : [notes];
+}
+
+/* Sample paths contain spaces & sharps ('#' would otherwise start a URL fragment) */
+function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+function concatenate(chunks, length) {
+  const data = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return data.buffer;
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
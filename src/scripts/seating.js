@@ -0,0 +1,110 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+/* Works out where each instrument in a song sits on the stage, from a layout
+   description (see assets/stage-layout.js). Takes the song's tracks and returns
+   { [instrument]: { family, texture, bow, seats } }, where each seat is
+   { x0, y0, rotation0, scale, bow } and texture/bow are null for a generic sprite */
+export function getSeating(tracks, layout) {
+  const instruments = [];
+  tracks.forEach((track) => {
+    if (instruments.find((instrument) => instrument.name === track.instrument)) return;
+    const description = layout.instruments[track.instrument] || {};
+    instruments.push({
+      name: track.instrument,
+      description,
+      family: description.family || layout.midiFamilies[track.instrumentFamily] || 'other'
+    });
+  });
+
+  // Hand-placed seats only work if everyone has them
+  const handPlaced = instruments.every((instrument) => instrument.description.seats);
+
+  if (!handPlaced) seatAutomatically(instruments, layout);
+
+  const seating = {};
+  instruments.forEach((instrument) => {
+    const description = instrument.description;
+    seating[instrument.name] = {
+      family: instrument.family,
+      texture: description.texture || null,
+      bow: description.bow || null,
+      seats: handPlaced
+        ? description.seats.map((seat) => Object.assign({ scale: 1 }, seat))
+        : instrument.seats
+    };
+  });
+  return seating;
+}
+
+/* Rows of arcs around the conductor, filled front to back in family order,
+   with each instrument's players next to each other */
+function seatAutomatically(instruments, layout) {
+  const seating = layout.seating;
+  const families = Object.keys(layout.families);
+  const order = (family) => families.indexOf(family) === -1 ? families.length : families.indexOf(family);
+  instruments.sort((a, b) => order(a.family) - order(b.family));
+
+  const rows = [];
+  for (let i = 0; i < seating.rows; i++) {
+    const radius = seating.firstRow + i * seating.rowSpacing;
+    const arc = radius * (Math.PI - 2 * seating.margin);
+    rows.push({ radius, capacity: Math.max(1, Math.floor(arc / seating.seatSpacing) + 1), seats: [] });
+  }
+  const capacity = rows.reduce((total, row) => total + row.capacity, 0);
+
+  // Fewer players each if there isn't room for everyone
+  const wanted = instruments.map((instrument) => {
+    const family = layout.families[instrument.family] || layout.families.other;
+    return instrument.description.players || family.players;
+  });
+  const total = wanted.reduce((sum, players) => sum + players, 0);
+  const ratio = Math.min(1, capacity / total);
+
+  let row = 0;
+  instruments.forEach((instrument, i) => {
+    instrument.players = Math.max(1, Math.floor(wanted[i] * ratio));
+    for (let player = 0; player < instrument.players; player++) {
+      while (row < rows.length - 1 && rows[row].seats.length >= rows[row].capacity) row++;
+      const seat = { instrument };
+      rows[row].seats.push(seat);
+    }
+  });
+
+  instruments.forEach((instrument) => {
+    instrument.seats = [];
+  });
+  rows.forEach((row) => {
+    // Spread each row's seats evenly from left to right
+    const count = row.seats.length;
+    row.seats.forEach((seat, i) => {
+      const angle = Math.PI + seating.margin + (count > 1 ? i / (count - 1) : 0.5) * (Math.PI - 2 * seating.margin);
+      const bow = seat.instrument.description.seats ? seat.instrument.description.seats[0].bow : null;
+      seat.instrument.seats.push({
+        x0: seating.centre.x + Math.cos(angle) * row.radius,
+        y0: seating.centre.y + Math.sin(angle) * row.radius,
+        rotation0: angle + Math.PI / 2, // Facing the conductor
+        scale: seating.scale,
+        bow
+      });
+    });
+  });
+}
@@ -45,6 +45,7 @@ export function smooth(pose, armspan) {
 
   const smoothPose = getPoseFromKeypoints(smoothKeypoints);
   smoothPose.score = pose.score;
+  smoothPose.timestamp = pose.timestamp;
   smoothPrevPose = smoothPose;
   return smoothPose;
 }
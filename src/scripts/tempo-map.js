@@ -0,0 +1,83 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+/* Returns { ppq, tempos, timeSignatures } from a song's header, where tempos are
+   { ticks, time, bpm } and timeSignatures are { ticks, timeSignature }, in order.
+   Songs without a tempo map (like the old song.json) get one from header.bpm */
+export function getTempoMap(song) {
+  const header = song.header;
+  const ppq = header.PPQ || header.ppq || 480;
+
+  let tempos = (header.tempos || []).map((tempo) => ({ ticks: tempo.ticks, bpm: tempo.bpm }));
+  tempos.sort((a, b) => a.ticks - b.ticks);
+  if (tempos.length === 0 || tempos[0].ticks > 0) tempos.unshift({ ticks: 0, bpm: header.bpm });
+  tempos.forEach((tempo, i) => {
+    tempo.time = ticksToSeconds(tempo.ticks, tempos.slice(0, i), ppq);
+  });
+
+  const timeSignatures = (header.timeSignatures || []).map((event) => ({
+    ticks: event.ticks,
+    timeSignature: event.timeSignature
+  }));
+  timeSignatures.sort((a, b) => a.ticks - b.ticks);
+  if (timeSignatures.length === 0 || timeSignatures[0].ticks > 0) {
+    timeSignatures.unshift({ ticks: 0, timeSignature: header.timeSignature || [4, 4] });
+  }
+
+  return { ppq, tempos, timeSignatures };
+}
+
+/* Seconds from the start of the song to the given tick */
+export function ticksToSeconds(ticks, tempos, ppq) {
+  let seconds = 0;
+  for (let i = 0; i < tempos.length; i++) {
+    if (tempos[i].ticks >= ticks) break;
+    const next = i + 1 < tempos.length ? Math.min(tempos[i + 1].ticks, ticks) : ticks;
+    seconds += (next - tempos[i].ticks) / ppq * 60 / tempos[i].bpm;
+  }
+  return seconds;
+}
+
+/* Ticks from the start of the song to the given time (tempos need their time set) */
+export function secondsToTicks(seconds, tempos, ppq) {
+  const tempo = getTempoAt(seconds, tempos, 'time');
+  return tempo.ticks + (seconds - tempo.time) * tempo.bpm / 60 * ppq;
+}
+
+/* The tempo event in force at the given ticks (or time, if by = 'time') */
+export function getTempoAt(position, tempos, by = 'ticks') {
+  let tempo = tempos[0];
+  for (let i = 1; i < tempos.length && tempos[i][by] <= position; i++) {
+    tempo = tempos[i];
+  }
+  return tempo;
+}
+
+/* A note's start & length in ticks. Scores from MIDI files have these already,
+   converted json scores only have seconds */
+export function getNoteTicks(note, tempoMap) {
+  if (typeof note.ticks === 'number' && typeof note.durationTicks === 'number') {
+    return { ticks: note.ticks, durationTicks: note.durationTicks };
+  }
+  const ticks = secondsToTicks(note.time, tempoMap.tempos, tempoMap.ppq);
+  const end = secondsToTicks(note.time + note.duration, tempoMap.tempos, tempoMap.ppq);
+  return { ticks, durationTicks: end - ticks };
+}
@@ -0,0 +1,164 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import Tone from 'tone';
+import config from '../config';
+import { constrain } from './helpers';
+
+const MIME_TYPES = ['video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+
+/* Records a clip of the performance with MediaRecorder: the orchestra, the
+   conductor (webcam & skeleton, or just the skeleton) and the tempo meter are
+   drawn together onto one canvas each frame, with the orchestra's sound */
+export default class VideoRecorder {
+  constructor(props) {
+    this.props = props;
+    this.recorder = null;
+    this.recording = null;
+    this.chunks = [];
+    this.frame = null;
+    this.audio = null;
+    this.includeWebcam = config.video.includeWebcam;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = config.video.width;
+    this.canvas.height = config.video.height;
+    this.ctx = this.canvas.getContext('2d');
+  }
+
+  isSupported() {
+    return typeof MediaRecorder !== 'undefined' && !!this.canvas.captureStream;
+  }
+
+  isRecording() {
+    return !!this.recorder && this.recorder.state === 'recording';
+  }
+
+  /* For privacy, the raw webcam image can be left out of the clip */
+  setIncludeWebcam(includeWebcam) {
+    this.includeWebcam = includeWebcam;
+  }
+
+  start() {
+    if (this.isRecording()) return;
+
+    // Everything Tone.js plays also goes to a stream for the recording
+    if (!this.audio) {
+      this.audio = Tone.context.createMediaStreamDestination();
+      Tone.Master.connect(this.audio);
+    }
+
+    const stream = this.canvas.captureStream(config.video.frameRate);
+    this.audio.stream.getAudioTracks().forEach((track) => stream.addTrack(track));
+
+    const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+    this.chunks = [];
+    this.recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data);
+    };
+    this.recorder.onstop = () => {
+      this.recording = new Blob(this.chunks, { type: this.recorder.mimeType || 'video/webm' });
+      this.props.onStop();
+    };
+    this.recorder.start(1000);
+    this.draw();
+  }
+
+  stop() {
+    if (!this.isRecording()) return;
+    cancelAnimationFrame(this.frame);
+    this.recorder.stop();
+  }
+
+  /* File extension to match what the browser recorded */
+  getExtension() {
+    return this.recording && /mp4/.test(this.recording.type) ? 'mp4' : 'webm';
+  }
+
+  /* Orchestra on the left, conductor on the right, tempo meter in the corner */
+  draw() {
+    const ctx = this.ctx;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    ctx.fillStyle = config.video.background;
+    ctx.fillRect(0, 0, width, height);
+
+    const orchestra = this.props.orchestraCanvas;
+    const orchestraScale = Math.min(width * 0.6 / orchestra.width, height / orchestra.height);
+    ctx.drawImage(orchestra, 0, (height - orchestra.height * orchestraScale) / 2,
+      orchestra.width * orchestraScale, orchestra.height * orchestraScale);
+
+    const poseWidth = width * 0.4;
+    const poseHeight = poseWidth * config.display.height / config.display.width;
+    const poseX = width - poseWidth;
+    const poseY = (height - poseHeight) / 2;
+    const video = this.props.getVideo();
+    if (this.includeWebcam && video) {
+      ctx.save();
+      if (config.pose.mirror) {
+        ctx.translate(poseX + poseWidth, poseY);
+        ctx.scale(-1, 1);
+        ctx.drawImage(video, 0, 0, poseWidth, poseHeight);
+      } else {
+        ctx.drawImage(video, poseX, poseY, poseWidth, poseHeight);
+      }
+      ctx.restore();
+    }
+    // While calibrating the pose canvas has the webcam image on it too
+    const poseCanvas = this.props.getPoseCanvas();
+    const showsWebcam = this.props.state.calibrating;
+    if (poseCanvas && (this.includeWebcam || !showsWebcam)) {
+      ctx.drawImage(poseCanvas, poseX, poseY, poseWidth, poseHeight);
+    }
+
+    this.drawTempo(this.props.getTempo());
+    this.frame = requestAnimationFrame(this.draw.bind(this));
+  }
+
+  /* A needle like the tempo meter on the page, with the bpm under it */
+  drawTempo(tempo) {
+    if (typeof tempo !== 'number') return;
+    const ctx = this.ctx;
+    const x = 70;
+    const y = 80;
+    const radius = 45;
+    const ratio = constrain(tempo / config.detection.maximumBpm, { min: 0, max: 1 });
+
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+    ctx.beginPath();
+    ctx.arc(x, y, radius, Math.PI, 2 * Math.PI);
+    ctx.stroke();
+
+    const angle = Math.PI + ratio * Math.PI;
+    ctx.strokeStyle = config.display.color;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+    ctx.stroke();
+
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(Math.round(tempo) + ' BPM', x, y + 24);
+  }
+}
@@ -0,0 +1,117 @@
+/*
+Copyright 2019 Google LLC
+
+Licensed to the Apache Software Foundation (ASF) under one
+or more contributor license agreements.  See the NOTICE file
+distributed with this work for additional information
+regarding copyright ownership.  The ASF licenses this file
+to you under the Apache License, Version 2.0 (the
+"License"); you may not use this file except in compliance
+with the License.  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing,
+software distributed under the License is distributed on an
+"AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+KIND, either express or implied.  See the License for the
+specific language governing permissions and limitations
+under the License.
+*/
+
+import config from '../config';
+
+/* Zones are shapes in body space, around the conductor as calibrated: x runs
+   from -1 at their reach to the left of the screen to 1 at their reach to the
+   right, and y from -1 at the top of their reach to 1 at the bottom. A zone is
+   { instruments, gain, rect: [left, top, right, bottom] } or
+   { instruments, gain, polygon: [[x, y], ...] }, and zones can overlap.
+   Older zones with start & end in display pixels are bands the whole height */
+export function getZonePolygon(zone) {
+  if (zone.polygon) return zone.polygon;
+  let [left, top, right, bottom] = zone.rect || [];
+  if (!zone.rect) {
+    left = zone.start / config.display.width * 2 - 1;
+    right = zone.end / config.display.width * 2 - 1;
+    top = -Infinity;
+    bottom = Infinity;
+  }
+  return [[left, top], [right, top], [right, bottom], [left, bottom]];
+}
+
+/* 1 inside the zone, fading to 0 over hands.zoneFeather outside it */
+export function getZoneWeight(zone, point) {
+  const polygon = getZonePolygon(zone);
+  if (isInside(polygon, point)) return 1;
+  const feather = config.hands.zoneFeather;
+  if (!feather) return 0;
+  return Math.max(0, 1 - getDistanceToPolygon(polygon, point) / feather);
+}
+
+/* Each instrument's gain at this point, the loudest of the zones it's in
+   (times each zone's gain), and the zone the point is most inside (or null) */
+export function getZoneGains(zones, point) {
+  const gains = {};
+  let zone = null;
+  let zoneWeight = 0;
+  zones.forEach((candidate, i) => {
+    const weight = getZoneWeight(candidate, point);
+    if (weight > zoneWeight) {
+      zone = i;
+      zoneWeight = weight;
+    }
+    const gain = weight * getGain(candidate);
+    candidate.instruments.forEach((instrument) => {
+      gains[instrument] = Math.max(gains[instrument] || 0, gain);
+    });
+  });
+  return { gains, zone };
+}
+
+/* Instrument gains with just this zone picked */
+export function getZoneInstrumentGains(zone) {
+  const gains = {};
+  zone.instruments.forEach((instrument) => {
+    gains[instrument] = getGain(zone);
+  });
+  return gains;
+}
+
+function getGain(zone) {
+  return typeof zone.gain === 'number' ? zone.gain : 1;
+}
+
+/* Ray casting: count the edges a line to the right of the point crosses */
+function isInside(polygon, point) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > point.y) !== (yj > point.y)) {
+      // Vertical edges may run off to infinity (bands), so don't interpolate them
+      const x = xi === xj ? xi : xi + (point.y - yi) / (yj - yi) * (xj - xi);
+      if (point.x < x) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function getDistanceToPolygon(polygon, point) {
+  let distance = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    distance = Math.min(distance, getDistanceToSegment(polygon[j], polygon[i], point));
+  }
+  return distance;
+}
+
+function getDistanceToSegment(a, b, point) {
+  // The edges of bands run off to infinity, so only their x matters
+  if (!isFinite(a[1]) || !isFinite(b[1])) return a[0] === b[0] ? Math.abs(point.x - a[0]) : Infinity;
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((point.x - a[0]) * dx + (point.y - a[1]) * dy) / lengthSquared)) : 0;
+  const x = a[0] + t * dx - point.x;
+  const y = a[1] + t * dy - point.y;
+  return Math.sqrt(x * x + y * y);
+}